@@ -0,0 +1,490 @@
+/**
+ * This script handles the shared rendering engine for the decorative canvases
+ * (the floating networks on the tiles and the circuit boards on the tools page
+ * section headers). Each page script only picks a scene and its options; the
+ * sizing, HiDPI scaling and animation loop live here once.
+ *
+ * Used on every page with a `.network-canvas`.
+ *
+ * It includes the following features:
+ *    1. A scene registry: a scene is a small object with `setup`, `draw`, and
+ *       optional `resize` and `step` functions (see registerCanvasScene()).
+ *       The scenes themselves are in Code/canvas_scenes.js.
+ *    2. One shared requestAnimationFrame loop for every running canvas,
+ *       which stops itself when nothing is animating.
+ *    3. One shared, debounced ResizeObserver for every canvas (window
+ *       "resize" is used only where ResizeObserver is unavailable).
+ *    4. HiDPI handling: the backing store is sized to CSS size ×
+ *       devicePixelRatio and the transform is reset (not accumulated) on every
+ *       resize, so scenes always draw in CSS pixels.
+ *    5. Animation on hover, always, or never, plus short bursts on request
+ *       (`animateFor()`); transient scene effects are allowed to finish after
+ *       the hover ends. `destroy()` stops the animation and removes every
+ *       observer and listener it added.
+ *    6. The motion policy from Code/motion_policy.js (load it first): under
+ *       reduced motion or the "Pause animations" toggle, in hidden tabs, and
+ *       while a canvas is scrolled offscreen, the canvas keeps its last static
+ *       frame and leaves the animation loop.
+ *    7. Pointer input: with `interactive: true` the scene sees the pointer
+ *       position (`view.pointer`) and clicks or taps (`pointerDown`). On touch
+ *       screens, where there is no hover, a tap animates a hover canvas for a
+ *       few seconds.
+ *    8. Theme colors: `themeOptions` maps scene options to CSS custom
+ *       properties, read from the canvas's computed style, and every canvas
+ *       is recolored when the site switches between light and dark mode.
+ *    9. Seeded randomness: pass `seed` and the scene gets a reproducible
+ *       generator (createSeededRandom()) as `view.random`, so the same tile
+ *       always draws the same picture. resolveCanvasSeed() reads `data-seed`
+ *       and the page-wide `?seed=` override.
+ *
+ * Usage:
+ *    const renderer = createCanvasRenderer(canvas, 'floating-network', {
+ *      animate: 'hover',            // 'hover' (default), 'always' or 'never'
+ *      hoverTarget: tile,           // element whose hover starts the animation
+ *      interactive: true,           // pass pointer moves and clicks to the scene
+ *      seed: resolveCanvasSeed(tile, title), // omit for a new picture on every load
+ *      sceneOptions: { numNodes: 13 },
+ *      themeOptions: { nodeColor: '--network-node-color' } // scene option ← CSS variable
+ *    });
+ *    renderer.resize();             // re-measure now (e.g. after un-hiding)
+ *    renderer.animateFor(2000);     // animate briefly without a hover
+ *    renderer.destroy();
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const CANVAS_SCENES = {};
+const CANVAS_RESIZE_DEBOUNCE_MS = 100;
+const CANVAS_SEED_PARAM = 'seed';
+const CANVAS_TOUCH_ANIMATION_MS = 4000; // how long a tap animates a hover canvas on touch screens
+
+/**
+ * Hash a string (or number) into an unsigned 32-bit integer (FNV-1a).
+ */
+function hashCanvasSeed(value) {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * A Math.random() replacement (mulberry32) that returns the same sequence of
+ * numbers in [0, 1) for the same seed. `seed` may be any string or number.
+ */
+function createSeededRandom(seed) {
+  let state = hashCanvasSeed(seed);
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * The seed for the canvas inside `element`: its `data-seed`, otherwise
+ * `fallback` (e.g. the tile title). A `?seed=` URL parameter changes every
+ * seed on the page at once; it is combined with each element's own seed, so
+ * canvases still differ from each other.
+ */
+function resolveCanvasSeed(element, fallback = '') {
+  const ownSeed = (element && element.getAttribute('data-seed')) || fallback;
+  const pageSeed = new URLSearchParams(window.location.search).get(CANVAS_SEED_PARAM);
+  return pageSeed ? `${pageSeed}:${ownSeed}` : ownSeed;
+}
+
+/**
+ * Register a scene under `name`. A scene is:
+ *    {
+ *      defaults: { ... },                       // default sceneOptions
+ *      setup(view) → state,                     // build the scene's state
+ *      resize?(state, view, previousSize),      // canvas size changed
+ *      step?(state, view, deltaMs),             // advance one animation frame
+ *      draw(state, view),                       // paint the current state
+ *      pointerDown?(state, view, point),        // click or tap on the canvas
+ *      isBusy?(state) → boolean,                // effects still finishing (keep animating)
+ *      settle?(state, view)                     // animation stopped: drop transient effects
+ *    }
+ * `view` is { canvas, ctx, width, height, dpr, options, random, pointer,
+ * engaged }, with width and height in CSS pixels. `pointer` is the pointer
+ * position ({ x, y } in canvas CSS pixels) while it is over the hover target
+ * of an interactive renderer, and null otherwise. `engaged` is true while the
+ * canvas is hovered, animating 'always', or inside an animateFor() burst;
+ * once it turns false a busy scene keeps animating until isBusy() is false.
+ */
+function registerCanvasScene(name, scene) {
+  CANVAS_SCENES[name] = scene;
+}
+
+// The shared animation loop: one requestAnimationFrame for all running renderers.
+const canvasAnimationLoop = {
+  running: new Set(),
+  frameId: null,
+  lastTime: null,
+
+  add(renderer) {
+    this.running.add(renderer);
+    if (this.frameId === null) {
+      this.lastTime = null;
+      this.frameId = requestAnimationFrame(time => this.tick(time));
+    }
+  },
+
+  remove(renderer) {
+    this.running.delete(renderer);
+    if (this.running.size === 0 && this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  },
+
+  tick(time) {
+    // Cap the step so a backgrounded tab does not jump the scene forward.
+    const deltaMs = this.lastTime === null ? 16.7 : Math.min(time - this.lastTime, 100);
+    this.lastTime = time;
+    this.running.forEach(renderer => renderer.frame(deltaMs));
+    this.frameId = this.running.size > 0 ? requestAnimationFrame(next => this.tick(next)) : null;
+  }
+};
+
+// The shared theme watcher: tells renderers when the site's colors may have
+// changed. Quarto's light/dark toggle swaps classes on <body>; themes can
+// also be set on <html> (class, style, data-theme, data-bs-theme) or follow
+// the operating system's color scheme.
+const canvasThemeWatcher = {
+  listeners: new Set(),
+  key: null,
+  observer: null,
+
+  // Only the theme-related state, so unrelated class changes (e.g. an open drawer) are ignored.
+  currentKey() {
+    const root = document.documentElement;
+    const bodyClasses = document.body
+      ? Array.from(document.body.classList).filter(name => /dark|light|theme/.test(name)).join(' ')
+      : '';
+    const prefersDark = typeof window.matchMedia === 'function' && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    return [root.className, root.getAttribute('data-theme'), root.getAttribute('data-bs-theme'),
+      root.style.cssText, bodyClasses, prefersDark].join('|');
+  },
+
+  // Re-check after the next frame, once swapped stylesheets have applied.
+  check() {
+    requestAnimationFrame(() => {
+      const key = this.currentKey();
+      if (key === this.key) return;
+      this.key = key;
+      this.listeners.forEach(listener => listener());
+    });
+  },
+
+  watch() {
+    if (this.observer || typeof MutationObserver !== 'function') return;
+    this.key = this.currentKey();
+    this.observer = new MutationObserver(() => this.check());
+    this.observer.observe(document.documentElement, { attributes: true, attributeFilter: ['class', 'style', 'data-theme', 'data-bs-theme'] });
+    if (document.body) this.observer.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+    if (typeof window.matchMedia === 'function') {
+      const query = window.matchMedia('(prefers-color-scheme: dark)');
+      if (typeof query.addEventListener === 'function') query.addEventListener('change', () => this.check());
+    }
+  }
+};
+
+/**
+ * Call `listener()` when the site theme changes. Returns a function that
+ * removes the listener.
+ */
+function onCanvasThemeChange(listener) {
+  canvasThemeWatcher.watch();
+  canvasThemeWatcher.listeners.add(listener);
+  return () => canvasThemeWatcher.listeners.delete(listener);
+}
+
+// The shared resize watcher: one ResizeObserver, debounced, for all renderers.
+const canvasResizeWatcher = {
+  renderers: new Map(), // canvas → renderer
+  pending: new Set(),
+  observer: null,
+  timer: null,
+  usingWindowResize: false,
+
+  flush() {
+    this.timer = null;
+    const pending = Array.from(this.pending);
+    this.pending.clear();
+    pending.forEach(renderer => renderer.resize());
+  },
+
+  schedule(renderers) {
+    renderers.forEach(renderer => this.pending.add(renderer));
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), CANVAS_RESIZE_DEBOUNCE_MS);
+  },
+
+  watch(canvas, renderer) {
+    this.renderers.set(canvas, renderer);
+    if (typeof ResizeObserver === 'function') {
+      if (!this.observer) {
+        this.observer = new ResizeObserver(entries => {
+          this.schedule(entries.map(entry => this.renderers.get(entry.target)).filter(Boolean));
+        });
+      }
+      this.observer.observe(canvas);
+    } else if (!this.usingWindowResize) {
+      this.usingWindowResize = true;
+      this.onWindowResize = () => this.schedule(Array.from(this.renderers.values()));
+      window.addEventListener('resize', this.onWindowResize);
+    }
+  },
+
+  unwatch(canvas) {
+    const renderer = this.renderers.get(canvas);
+    this.renderers.delete(canvas);
+    if (renderer) this.pending.delete(renderer);
+    if (this.observer) this.observer.unobserve(canvas);
+    if (this.usingWindowResize && this.renderers.size === 0) {
+      window.removeEventListener('resize', this.onWindowResize);
+      this.usingWindowResize = false;
+    }
+  }
+};
+
+/**
+ * Draw `sceneName` into `canvas`. Returns a renderer:
+ * { start, stop, animateFor, redraw, refreshTheme, resize, destroy, isRunning, view }.
+ */
+function createCanvasRenderer(canvas, sceneName, options = {}) {
+  const scene = CANVAS_SCENES[sceneName];
+  if (!scene) {
+    throw new Error(`Unknown canvas scene '${sceneName}'.`);
+  }
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error(`Unable to get a 2D context for the '${sceneName}' canvas.`);
+  }
+
+  const animate = options.animate || 'hover';
+  const hoverTarget = options.hoverTarget || canvas;
+  const baseOptions = { ...(scene.defaults || {}), ...(options.sceneOptions || {}) };
+  const themeOptions = options.themeOptions || {};
+  const view = {
+    canvas,
+    ctx,
+    width: 0,
+    height: 0,
+    dpr: 1,
+    options: { ...baseOptions },
+    random: options.random || (options.seed !== undefined ? createSeededRandom(options.seed) : Math.random),
+    pointer: null,
+    engaged: false
+  };
+  const interactive = Boolean(options.interactive);
+  let burstTimer = null;
+
+  let state = null;
+  let wanted = false;    // hovered, or animate: 'always'
+  let onscreen = true;
+  let running = false;   // actually in the animation loop
+  let destroyed = false;
+
+  // Match the backing store to the CSS size × devicePixelRatio. Returns true when it changed.
+  function measure() {
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const width = rect.width;
+    const height = rect.height;
+    if (width === view.width && height === view.height && dpr === view.dpr) return false;
+
+    view.width = width;
+    view.height = height;
+    view.dpr = dpr;
+    canvas.width = Math.max(1, Math.round(width * dpr));
+    canvas.height = Math.max(1, Math.round(height * dpr));
+    return true;
+  }
+
+  // Read the scene options mapped to CSS custom properties, as computed on
+  // the canvas (so a tile can override them); empty ones keep their default.
+  function applyTheme() {
+    const names = Object.keys(themeOptions);
+    if (names.length === 0) return;
+    const style = getComputedStyle(canvas);
+    names.forEach(name => {
+      const value = style.getPropertyValue(themeOptions[name]).trim();
+      view.options[name] = value || baseOptions[name];
+    });
+  }
+
+  function refreshTheme() {
+    if (destroyed) return;
+    applyTheme();
+    redraw();
+  }
+
+  function redraw() {
+    if (destroyed || view.width === 0 || view.height === 0) return;
+    // Setting canvas.width resets the transform, but set it explicitly so it never accumulates.
+    ctx.setTransform(view.dpr, 0, 0, view.dpr, 0, 0);
+    ctx.clearRect(0, 0, view.width, view.height);
+    scene.draw(state, view);
+  }
+
+  function resize() {
+    if (destroyed) return;
+    const previousSize = { width: view.width, height: view.height };
+    if (!measure()) return;
+    if (scene.resize) scene.resize(state, view, previousSize);
+    redraw();
+  }
+
+  function frame(deltaMs) {
+    if (scene.step) scene.step(state, view, deltaMs);
+    redraw();
+    // No longer engaged: leave the loop once the scene's effects have finished.
+    if (!view.engaged) updateActivity();
+  }
+
+  // Join or leave the animation loop. Animation also needs the canvas on
+  // screen and the motion policy (Code/motion_policy.js, when loaded) to allow it.
+  function updateActivity() {
+    const motionAllowed = typeof isMotionAllowed === 'function' ? isMotionAllowed() : true;
+    view.engaged = wanted || burstTimer !== null;
+    const busy = scene.isBusy ? scene.isBusy(state) : false;
+    const active = !destroyed && (view.engaged || busy) && onscreen && motionAllowed && Boolean(scene.step);
+    if (active === running) return;
+    running = active;
+    if (active) {
+      canvasAnimationLoop.add(renderer);
+    } else {
+      canvasAnimationLoop.remove(renderer);
+      if (scene.settle) scene.settle(state, view);
+      redraw();
+    }
+  }
+
+  function start() {
+    wanted = true;
+    updateActivity();
+  }
+
+  function stop() {
+    wanted = false;
+    updateActivity();
+  }
+
+  // Animate for `durationMs` (e.g. an idle effect or a tap), then stop unless hovered.
+  function animateFor(durationMs) {
+    clearTimeout(burstTimer);
+    burstTimer = setTimeout(() => {
+      burstTimer = null;
+      updateActivity();
+    }, durationMs);
+    updateActivity();
+  }
+
+  const onEnter = () => start();
+  const onLeave = () => stop();
+
+  function toCanvasPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  // Touch screens have no hover: a tap animates the canvas for a while instead.
+  function onPointerDown(event) {
+    if (animate === 'hover' && event.pointerType && event.pointerType !== 'mouse') {
+      animateFor(CANVAS_TOUCH_ANIMATION_MS);
+    }
+    if (!interactive) return;
+
+    const point = toCanvasPoint(event);
+    view.pointer = point;
+    const onCanvas = point.x >= 0 && point.x <= view.width && point.y >= 0 && point.y <= view.height;
+    if (onCanvas && running && scene.pointerDown) scene.pointerDown(state, view, point);
+  }
+
+  function onPointerMove(event) {
+    view.pointer = toCanvasPoint(event);
+  }
+
+  function onPointerEnd(event) {
+    // A mouse is still "over" the target after a click; a lifted finger is not.
+    if (event.type === 'pointerleave' || event.pointerType !== 'mouse') view.pointer = null;
+  }
+
+  const pointerListeners = {};
+  if (animate === 'hover' || interactive) pointerListeners.pointerdown = onPointerDown;
+  if (interactive) {
+    Object.assign(pointerListeners, {
+      pointermove: onPointerMove,
+      pointerleave: onPointerEnd,
+      pointerup: onPointerEnd,
+      pointercancel: onPointerEnd
+    });
+  }
+
+  const unobserveOnscreen = typeof observeOnscreen === 'function'
+    ? observeOnscreen(canvas, isOnscreen => {
+      onscreen = isOnscreen;
+      updateActivity();
+    })
+    : () => {};
+  const removeMotionListener = typeof onMotionPolicyChange === 'function'
+    ? onMotionPolicyChange(updateActivity)
+    : () => {};
+  const removeThemeListener = Object.keys(themeOptions).length > 0 ? onCanvasThemeChange(refreshTheme) : () => {};
+
+  function destroy() {
+    if (destroyed) return;
+    clearTimeout(burstTimer);
+    burstTimer = null;
+    stop();
+    destroyed = true;
+    unobserveOnscreen();
+    removeMotionListener();
+    removeThemeListener();
+    canvasResizeWatcher.unwatch(canvas);
+    if (animate === 'hover') {
+      hoverTarget.removeEventListener('mouseenter', onEnter);
+      hoverTarget.removeEventListener('mouseleave', onLeave);
+    }
+    Object.keys(pointerListeners).forEach(type => hoverTarget.removeEventListener(type, pointerListeners[type]));
+    view.pointer = null;
+  }
+
+  const renderer = {
+    start,
+    stop,
+    animateFor,
+    redraw,
+    refreshTheme,
+    resize,
+    destroy,
+    frame,
+    isRunning: () => running,
+    view
+  };
+
+  measure();
+  applyTheme();
+  state = scene.setup(view);
+  redraw();
+
+  canvasResizeWatcher.watch(canvas, renderer);
+  if (animate === 'hover') {
+    hoverTarget.addEventListener('mouseenter', onEnter);
+    hoverTarget.addEventListener('mouseleave', onLeave);
+  } else if (animate === 'always') {
+    start();
+  }
+  Object.keys(pointerListeners).forEach(type => hoverTarget.addEventListener(type, pointerListeners[type]));
+
+  return renderer;
+}
@@ -0,0 +1,447 @@
+/**
+ * This script handles the scene definitions drawn by the shared canvas engine
+ * (Code/canvas_engine.js, which must be loaded first). Colors may be any CSS
+ * color; they are read with Code/css_colors.js, also loaded first.
+ *
+ * It includes the following features:
+ *    1. "floating-network": slowly drifting nodes with depth, joined by edges
+ *       that fade with distance, over a soft gradient. Used on the resource
+ *       tiles and on the policies/tools page tiles. When the renderer is
+ *       interactive, nodes near the pointer are pulled in (or pushed off when
+ *       very close), nearby edges brighten, and a click or tap sends a ripple
+ *       out along the edges from the nearest node.
+ *    2. "circuit-board": horizontal traces with oblique kinks ending in
+ *       solder-pad nodes. Used on the tools page section headers. The traces
+ *       are kept as paths (points and segment lengths), generated once and
+ *       stretched when the canvas is resized, so redraws and resizes keep the
+ *       same circuits. While animating, small glowing "signal" pulses run
+ *       along the traces from start to end node.
+ *
+ * Scenes draw in CSS pixels; the engine handles devicePixelRatio. Random
+ * values come only from `view.random`, so a renderer created with a `seed`
+ * draws the same picture on every load.
+ *
+ * Default colors (pages pass theme colors from CSS variables instead; see
+ * `themeOptions` in Code/canvas_engine.js and the canvas palette in
+ * _styles/styles.scss):
+ *    - network nodes: #00356b (--dsde-blue);
+ *    - network background: #7634a6 (--dsde-purple);
+ *    - circuit traces: #FFD700;
+ *    - circuit pulses: #FFF6C2;
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+registerCanvasScene('floating-network', {
+  defaults: {
+    numNodes: 13,
+    maxDistance: 150,      // edges are drawn between nodes closer than this
+    baseNodeSize: 10,      // node radius at the front of the depth range
+    minNodeSize: 6,        // node radius at the back of the depth range
+    basePathWidth: 5,      // edge width at the front of the depth range
+    borderWidth: 1,
+    borderColor: '#F0F0F0',
+    speed: 0.2,            // pixels per frame at 60 fps
+    perspectiveDepth: 100,
+    nodeAlpha: 0.5,
+    edgeAlpha: 0.3,
+    nodeColor: '#00356b',
+    backgroundColor: '#7634a6',
+    pointerRadius: 90,     // nodes and edges within this distance react to the pointer
+    pointerRepelRadius: 25, // nodes closer than this are pushed away instead of pulled in
+    pointerForce: 0.6,     // pixels per frame next to the pointer, fading to 0 at pointerRadius
+    edgeHighlight: 0.5,    // extra edge alpha right under the pointer
+    rippleHopMs: 120,      // time a ripple takes to cross one edge
+    maxRipples: 3
+  },
+
+  setup(view) {
+    const state = { nodes: [], ripples: [] };
+    if (view.width > 0 && view.height > 0) this.createNodes(state, view);
+    return state;
+  },
+
+  createNodes(state, view) {
+    const { numNodes, perspectiveDepth, speed } = view.options;
+    state.nodes = [];
+    state.layoutSize = { width: view.width, height: view.height };
+    for (let i = 0; i < numNodes; i++) {
+      state.nodes.push({
+        x: view.random() * view.width,
+        y: view.random() * view.height,
+        z: view.random() * perspectiveDepth,
+        vx: (view.random() - 0.5) * speed,
+        vy: (view.random() - 0.5) * speed,
+        vz: (view.random() - 0.5) * speed
+      });
+    }
+  },
+
+  // Keep the layout when the canvas changes size (including after being
+  // hidden at zero size); build it the first time it has one.
+  resize(state, view) {
+    if (view.width === 0 || view.height === 0) return;
+    if (state.nodes.length === 0) {
+      this.createNodes(state, view);
+      return;
+    }
+    const scaleX = view.width / state.layoutSize.width;
+    const scaleY = view.height / state.layoutSize.height;
+    state.nodes.forEach(node => {
+      node.x *= scaleX;
+      node.y *= scaleY;
+    });
+    state.layoutSize = { width: view.width, height: view.height };
+  },
+
+  step(state, view, deltaMs) {
+    const frames = deltaMs / (1000 / 60);
+    const options = view.options;
+    const depth = options.perspectiveDepth;
+    const pointer = view.pointer;
+
+    state.nodes.forEach(node => {
+      node.x += node.vx * frames;
+      node.y += node.vy * frames;
+      node.z += node.vz * frames;
+      if (node.x < 0 || node.x > view.width) node.vx *= -1;
+      if (node.y < 0 || node.y > view.height) node.vy *= -1;
+      if (node.z < 0 || node.z > depth) node.vz *= -1;
+
+      // Nudge the position (not the velocity) so nodes drift on as before once the pointer leaves.
+      if (!pointer) return;
+      const dx = pointer.x - node.x;
+      const dy = pointer.y - node.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance === 0 || distance > options.pointerRadius) return;
+      const direction = distance < options.pointerRepelRadius ? -1 : 1;
+      const strength = options.pointerForce * (1 - distance / options.pointerRadius) * frames * direction;
+      node.x += (dx / distance) * strength;
+      node.y += (dy / distance) * strength;
+    });
+
+    state.ripples.forEach(ripple => { ripple.age += deltaMs; });
+    state.ripples = state.ripples.filter(ripple => ripple.age < (ripple.maxHop + 2) * options.rippleHopMs);
+  },
+
+  // Let ripples finish after the hover ends; drop them when animation stops.
+  isBusy(state) {
+    return state.ripples.length > 0;
+  },
+
+  settle(state) {
+    state.ripples = [];
+  },
+
+  // Whether nodes `a` and `b` are joined by an edge.
+  isLinked(a, b, options) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2) < options.maxDistance;
+  },
+
+  // Start a ripple at the node nearest the click: it lights up the edges one hop at a time.
+  pointerDown(state, view, point) {
+    if (state.nodes.length === 0) return;
+    const options = view.options;
+    let origin = 0;
+    state.nodes.forEach((node, index) => {
+      const nearest = state.nodes[origin];
+      if ((node.x - point.x) ** 2 + (node.y - point.y) ** 2 < (nearest.x - point.x) ** 2 + (nearest.y - point.y) ** 2) {
+        origin = index;
+      }
+    });
+
+    // Breadth-first hop counts over the current edges; unreachable nodes stay Infinity.
+    const hops = state.nodes.map(() => Infinity);
+    hops[origin] = 0;
+    const queue = [origin];
+    while (queue.length) {
+      const current = queue.shift();
+      state.nodes.forEach((node, index) => {
+        if (hops[index] === Infinity && this.isLinked(state.nodes[current], node, options)) {
+          hops[index] = hops[current] + 1;
+          queue.push(index);
+        }
+      });
+    }
+
+    const maxHop = Math.max(...hops.filter(Number.isFinite));
+    state.ripples.push({ hops, maxHop, age: 0 });
+    if (state.ripples.length > options.maxRipples) state.ripples.shift();
+  },
+
+  // Brightness (0–1) of the brightest ripple passing a point `hopsOf(ripple)`
+  // hops from its origin: each ripple rises and falls over two hop times.
+  rippleGlow(state, options, hopsOf) {
+    return state.ripples.reduce((glow, ripple) => {
+      const hop = hopsOf(ripple);
+      if (!Number.isFinite(hop)) return glow;
+      const phase = (ripple.age - hop * options.rippleHopMs) / options.rippleHopMs;
+      return phase < 0 || phase > 2 ? glow : Math.max(glow, 1 - Math.abs(phase - 1));
+    }, 0);
+  },
+
+  draw(state, view) {
+    const { ctx, width, height } = view;
+    const options = view.options;
+    const depth = options.perspectiveDepth;
+
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, cssColorWithAlpha(options.backgroundColor, 0x60 / 255));
+    gradient.addColorStop(1, cssColorWithAlpha(options.backgroundColor, 0));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    const nodeColor = cssColorWithAlpha(options.nodeColor);
+    const pointer = view.pointer;
+    state.nodes.forEach((node, index) => {
+      node.x = Math.max(0, Math.min(width, node.x));
+      node.y = Math.max(0, Math.min(height, node.y));
+      node.z = Math.max(0, Math.min(depth, node.z));
+
+      const nodeSize = options.minNodeSize + ((options.baseNodeSize - options.minNodeSize) * (node.z / depth));
+
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, nodeSize, 0, Math.PI * 2);
+      ctx.fillStyle = nodeColor;
+      const nodeGlow = this.rippleGlow(state, options, ripple => ripple.hops[index]);
+      ctx.globalAlpha = options.nodeAlpha + (1 - options.nodeAlpha) * nodeGlow;
+      ctx.fill();
+      ctx.lineWidth = options.borderWidth;
+      ctx.strokeStyle = cssColorWithAlpha(options.borderColor);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+
+      for (let j = index + 1; j < state.nodes.length; j++) {
+        const other = state.nodes[j];
+        const distance = Math.sqrt((node.x - other.x) ** 2 + (node.y - other.y) ** 2 + (node.z - other.z) ** 2);
+        if (distance < options.maxDistance) {
+          let alpha = (1 - distance / options.maxDistance) * options.edgeAlpha;
+          // Brighten edges whose midpoint is near the pointer.
+          if (pointer) {
+            const fromPointer = Math.sqrt(((node.x + other.x) / 2 - pointer.x) ** 2 + ((node.y + other.y) / 2 - pointer.y) ** 2);
+            if (fromPointer < options.pointerRadius) alpha += options.edgeHighlight * (1 - fromPointer / options.pointerRadius);
+          }
+          // An edge lights up halfway between the times its two ends do.
+          const rippleGlow = this.rippleGlow(state, options, ripple => Math.min(ripple.hops[index], ripple.hops[j]) + 0.5);
+
+          ctx.beginPath();
+          ctx.moveTo(node.x, node.y);
+          ctx.lineTo(other.x, other.y);
+          ctx.lineWidth = options.basePathWidth * (node.z / depth) + 2 * rippleGlow;
+          ctx.strokeStyle = cssColorWithAlpha(nodeColor, Math.min(1, alpha + rippleGlow));
+          ctx.stroke();
+        }
+      }
+    });
+  }
+});
+
+registerCanvasScene('circuit-board', {
+  defaults: {
+    color: '#FFD700',
+    nodeSize: 4,
+    lineWidth: 2,
+    minCircuits: 8,
+    maxCircuits: 15,
+    minKinks: 1,
+    maxKinks: 3,
+    minKinkHeight: 20,       // minimum vertical deviation of a kink
+    maxKinkHeight: 100,      // maximum vertical deviation of a kink
+    minSegmentLength: 50,
+    maxSegmentLength: 200,
+    horizontalEndChance: 0.7, // share of traces that end with a horizontal run
+    minOpacity: 0.4,
+    pulseColor: '#FFF6C2',
+    pulseRadius: 3,
+    pulseGlow: 8,            // blur radius of the glow around a pulse
+    pulseTrail: 4,           // dots in a pulse, head included
+    pulseSpacing: 5,         // pixels between the dots of a pulse
+    pulseDuration: 1800,     // milliseconds for a pulse to run a whole trace
+    pulseInterval: 600       // milliseconds between new pulses while animating
+  },
+
+  setup(view) {
+    const state = { circuits: [], pulses: [], nextPulseIn: 0 };
+    if (view.width > 0 && view.height > 0) this.generate(state, view);
+    return state;
+  },
+
+  randomInt(view, min, max) {
+    return Math.floor(view.random() * (max - min + 1)) + min;
+  },
+
+  // One trace: a start pad, 1–3 kinks, and an end pad further right.
+  generateCircuit(view) {
+    const { width, height } = view;
+    const options = view.options;
+    const startNode = { x: view.random() * width * 0.2, y: view.random() * height };
+    const endNode = { x: view.random() * width * 0.8 + width * 0.2, y: view.random() * height };
+    const numKinks = this.randomInt(view, options.minKinks, options.maxKinks);
+
+    const kinks = [];
+    let lastX = startNode.x;
+    for (let i = 1; i <= numKinks; i++) {
+      let kinkX = lastX + view.random() * (options.maxSegmentLength - options.minSegmentLength) + options.minSegmentLength;
+      // Leave enough room for the remaining segments.
+      kinkX = Math.min(kinkX, endNode.x - options.minSegmentLength * (numKinks - i + 1));
+
+      let kinkY;
+      do {
+        kinkY = startNode.y + (view.random() - 0.5) * 2 * options.maxKinkHeight;
+      } while (Math.abs(kinkY - startNode.y) < options.minKinkHeight);
+
+      kinks.push({ x: kinkX, y: kinkY });
+      lastX = kinkX;
+    }
+
+    return {
+      startNode,
+      kinks,
+      endNode,
+      horizontalEnd: view.random() < options.horizontalEndChance,
+      opacity: view.random() * (1 - options.minOpacity) + options.minOpacity
+    };
+  },
+
+  // The trace as a list of points, including the right-angle turns.
+  circuitPoints(circuit) {
+    const { startNode, kinks, endNode } = circuit;
+    const firstKink = kinks.length > 0 ? kinks[0] : endNode;
+    const points = [startNode, { x: firstKink.x, y: startNode.y }, ...kinks];
+    const lastPoint = points[points.length - 1];
+
+    if (circuit.horizontalEnd) {
+      points.push({ x: endNode.x, y: lastPoint.y });
+    } else {
+      points.push({ x: lastPoint.x, y: endNode.y });
+    }
+    points.push(endNode);
+    return points;
+  },
+
+  // Store the trace's points and their lengths, so pulses can be placed along it.
+  trace(circuit) {
+    circuit.points = this.circuitPoints(circuit);
+    circuit.segmentLengths = circuit.points.slice(1).map((point, index) =>
+      Math.hypot(point.x - circuit.points[index].x, point.y - circuit.points[index].y));
+    circuit.length = circuit.segmentLengths.reduce((total, length) => total + length, 0);
+  },
+
+  // The point `distance` pixels along a trace, clamped to its ends.
+  pointAlong(circuit, distance) {
+    let remaining = Math.max(0, distance);
+    for (let i = 0; i < circuit.segmentLengths.length; i++) {
+      const length = circuit.segmentLengths[i];
+      if (remaining <= length && length > 0) {
+        const from = circuit.points[i];
+        const to = circuit.points[i + 1];
+        return { x: from.x + (to.x - from.x) * (remaining / length), y: from.y + (to.y - from.y) * (remaining / length) };
+      }
+      remaining -= length;
+    }
+    return circuit.points[circuit.points.length - 1];
+  },
+
+  generate(state, view) {
+    const count = this.randomInt(view, view.options.minCircuits, view.options.maxCircuits);
+    state.circuits = [];
+    state.layoutSize = { width: view.width, height: view.height };
+    for (let i = 0; i < count; i++) {
+      const circuit = this.generateCircuit(view);
+      this.trace(circuit);
+      state.circuits.push(circuit);
+    }
+  },
+
+  // Keep the same circuits when the canvas changes size (including after
+  // being hidden at zero size), stretched to fit; build them the first time
+  // the canvas has a size.
+  resize(state, view) {
+    if (view.width === 0 || view.height === 0) return;
+    if (state.circuits.length === 0) {
+      this.generate(state, view);
+      return;
+    }
+    const scaleX = view.width / state.layoutSize.width;
+    const scaleY = view.height / state.layoutSize.height;
+    state.circuits.forEach(circuit => {
+      [circuit.startNode, ...circuit.kinks, circuit.endNode].forEach(node => {
+        node.x *= scaleX;
+        node.y *= scaleY;
+      });
+      this.trace(circuit);
+    });
+    state.layoutSize = { width: view.width, height: view.height };
+  },
+
+  // Send pulses from start to end node while engaged; pulses already on
+  // their way finish even after that (see isBusy()).
+  step(state, view, deltaMs) {
+    const options = view.options;
+    if (view.engaged && state.circuits.length > 0) {
+      state.nextPulseIn -= deltaMs;
+      if (state.nextPulseIn <= 0) {
+        // Math.random, not view.random: pulses must not shift a seeded layout.
+        state.pulses.push({ circuit: state.circuits[Math.floor(Math.random() * state.circuits.length)], progress: 0 });
+        state.nextPulseIn = options.pulseInterval;
+      }
+    }
+    state.pulses.forEach(pulse => { pulse.progress += deltaMs / options.pulseDuration; });
+    // Keep a pulse until its last trailing dot has reached the end node.
+    state.pulses = state.pulses.filter(pulse =>
+      pulse.progress * pulse.circuit.length - (options.pulseTrail - 1) * options.pulseSpacing < pulse.circuit.length);
+  },
+
+  isBusy(state) {
+    return state.pulses.length > 0;
+  },
+
+  settle(state) {
+    state.pulses = [];
+    state.nextPulseIn = 0;
+  },
+
+  draw(state, view) {
+    const { ctx } = view;
+    const options = view.options;
+
+    state.circuits.forEach(circuit => {
+      const color = cssColorWithAlpha(options.color, circuit.opacity);
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth = options.lineWidth;
+      ctx.beginPath();
+      circuit.points.forEach((point, index) => {
+        if (index === 0) ctx.moveTo(point.x, point.y);
+        else ctx.lineTo(point.x, point.y);
+      });
+      ctx.stroke();
+
+      ctx.fillStyle = color;
+      [circuit.startNode, circuit.endNode].forEach(node => {
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, options.nodeSize, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    });
+
+    // Pulses: a glowing head with a fading trail behind it.
+    ctx.shadowColor = cssColorWithAlpha(options.pulseColor);
+    ctx.shadowBlur = options.pulseGlow;
+    state.pulses.forEach(pulse => {
+      const head = pulse.progress * pulse.circuit.length;
+      for (let i = options.pulseTrail - 1; i >= 0; i--) {
+        const distance = head - i * options.pulseSpacing;
+        if (distance < 0 || distance > pulse.circuit.length) continue;
+        const point = this.pointAlong(pulse.circuit, distance);
+        const fade = 1 - i / options.pulseTrail;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, options.pulseRadius * fade, 0, Math.PI * 2);
+        ctx.fillStyle = cssColorWithAlpha(options.pulseColor, fade);
+        ctx.fill();
+      }
+    });
+    ctx.shadowBlur = 0;
+  }
+});
@@ -0,0 +1,446 @@
+/**
+ * This script handles checking the external links used across the site, so
+ * broken or moved pages are found before visitors do. It replaces the manual
+ * "verify any new/changed links work" step in the listing YAML headers.
+ *
+ * Run from the project root:
+ *    node Code/check_links.js                      # check, re-using cached results
+ *    node Code/check_links.js --no-cache           # re-check everything
+ *    node Code/check_links.js --timeout 5000 --concurrency 4 --max-age 3
+ *
+ * It includes the following features:
+ *    1. Collecting every http(s) URL from the listing YAML files (tile links,
+ *       instructor links, profile links) and from the `Pages/*.qmd` pages
+ *       (HTML tables, `<a href>` tags and Markdown links), with the file and
+ *       line each one came from.
+ *    2. Checking each URL (HEAD, then GET when a server refuses HEAD),
+ *       following redirects one hop at a time so the full chain is reported,
+ *       and treating slow responses as timeouts.
+ *    3. Skipping URLs on the allowlist (Code/link_check_allowlist.txt), for
+ *       sites that block automated requests.
+ *    4. Re-using results cached by earlier runs (links that answered without
+ *       a redirect only) until they are older than --max-age days.
+ *    5. Writing a JSON and an HTML report to _link-check/ and exiting with
+ *       status 1 when any link is broken (4xx/5xx, timeout or network error).
+ *       Redirects are reported but do not fail the run.
+ *
+ * The request function can be swapped out (the `fetch` option of
+ * checkLinks()), so the checker can be pointed at a local stub server or a
+ * fake fetch instead of the live sites.
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseListingYaml } = require('./listing_yaml');
+const { LISTINGS } = require('./validate_listings');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const PAGES_DIR = 'Pages';
+const OUTPUT_DIR = '_link-check';
+const CACHE_FILE = 'cache.json';
+const ALLOWLIST_FILE = 'Code/link_check_allowlist.txt';
+
+const DEFAULT_OPTIONS = {
+  timeout: 10000,
+  concurrency: 6,
+  maxRedirects: 10,
+  maxAgeDays: 7
+};
+
+const BROKEN_STATUSES = new Set(['client-error', 'server-error', 'timeout', 'network-error']);
+
+// Some servers reject bare requests; identify as a normal browser-like client.
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; ai-resources-page link checker)',
+  'Accept': 'text/html,application/xhtml+xml,*/*;q=0.8'
+};
+
+/**
+ * Add a URL occurrence to the `links` map (URL → { url, sources[] }).
+ */
+function addLink(links, url, source) {
+  const trimmed = url.trim().replace(/&amp;/g, '&');
+  if (!/^https?:\/\//i.test(trimmed)) return;
+  if (!links.has(trimmed)) links.set(trimmed, { url: trimmed, sources: [] });
+  links.get(trimmed).sources.push(source);
+}
+
+/**
+ * Collect URLs from a listing YAML file. Each source names the tile (title
+ * or name) and field the URL belongs to.
+ */
+function extractListingUrls(file, links) {
+  const source = fs.readFileSync(path.resolve(PROJECT_ROOT, file), 'utf8');
+  const { data, locations } = parseListingYaml(source);
+
+  function walk(value, valuePath, label) {
+    if (typeof value === 'string') {
+      if (!/^https?:\/\//i.test(value.trim())) return;
+      const location = locations.get(valuePath) || { line: 1 };
+      const field = valuePath.replace(/^.*?([^.\]]+)$/, '$1');
+      addLink(links, value, { file, line: location.line, context: label ? `${label} (${field})` : field });
+    } else if (Array.isArray(value)) {
+      value.forEach((entry, index) => walk(entry, `${valuePath}[${index}]`, label));
+    } else if (value && typeof value === 'object') {
+      const ownLabel = typeof value.title === 'string' ? value.title : typeof value.name === 'string' ? value.name : label;
+      Object.keys(value).forEach(key => walk(value[key], valuePath ? `${valuePath}.${key}` : key, ownLabel));
+    }
+  }
+
+  walk(data, '', null);
+}
+
+/**
+ * Collect URLs from a Quarto page: `href="..."`, Markdown `[text](url)`
+ * links and `<https://...>` autolinks. The link text (or row's tool name)
+ * is kept as context when it is on the same line.
+ */
+function extractPageUrls(file, links) {
+  const lines = fs.readFileSync(path.resolve(PROJECT_ROOT, file), 'utf8').split(/\r?\n/);
+  const patterns = [
+    /href\s*=\s*"([^"]+)"(?:[^>]*>([^<]*))?/g,
+    /href\s*=\s*'([^']+)'(?:[^>]*>([^<]*))?/g,
+    /\[([^\]]*)\]\((https?:\/\/[^)\s]+)(?:\s+"[^"]*")?\)/g,
+    /<(https?:\/\/[^>\s]+)>/g
+  ];
+
+  lines.forEach((line, index) => {
+    patterns.forEach((pattern, patternIndex) => {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(line))) {
+        const url = patternIndex === 2 ? match[2] : match[1];
+        const text = patternIndex === 2 ? match[1] : match[2];
+        addLink(links, url, { file, line: index + 1, context: text ? text.trim() : '' });
+      }
+    });
+  });
+}
+
+/**
+ * Every external URL on the site, as [{ url, sources: [{ file, line, context }] }].
+ */
+function collectLinks() {
+  const links = new Map();
+  LISTINGS.forEach(listing => extractListingUrls(listing.file, links));
+
+  fs.readdirSync(path.join(PROJECT_ROOT, PAGES_DIR))
+    .filter(name => name.endsWith('.qmd'))
+    .sort()
+    .forEach(name => extractPageUrls(`${PAGES_DIR}/${name}`, links));
+
+  return Array.from(links.values());
+}
+
+/**
+ * Read the allowlist: one URL pattern per line, `*` matches anything, and
+ * `#` starts a comment. A pattern without `*` matches URLs starting with it.
+ */
+function readAllowlist(file) {
+  const fullPath = path.resolve(PROJECT_ROOT, file);
+  if (!fs.existsSync(fullPath)) return [];
+
+  return fs.readFileSync(fullPath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map(pattern => {
+      const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      return { pattern, regex: new RegExp(`^${escaped}${pattern.includes('*') ? '$' : ''}`, 'i') };
+    });
+}
+
+function findAllowlistEntry(url, allowlist) {
+  return allowlist.find(entry => entry.regex.test(url)) || null;
+}
+
+function readCache(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * The result category for a final HTTP status.
+ */
+function classifyStatus(status, redirected) {
+  if (status >= 500) return 'server-error';
+  if (status >= 400) return 'client-error';
+  return redirected ? 'redirect' : 'ok';
+}
+
+/**
+ * Request a URL once, without following redirects. Falls back to GET when a
+ * server rejects HEAD.
+ */
+async function requestOnce(url, options) {
+  const attempt = async method => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout);
+    try {
+      const response = await options.fetch(url, {
+        method,
+        redirect: 'manual',
+        headers: REQUEST_HEADERS,
+        signal: controller.signal
+      });
+      if (response.body && typeof response.body.cancel === 'function') {
+        response.body.cancel().catch(() => {});
+      }
+      return response;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const response = await attempt('HEAD');
+  if (response.status === 405 || response.status === 501 || response.status === 403 || response.status >= 500) {
+    return attempt('GET');
+  }
+  return response;
+}
+
+/**
+ * Check one URL. Returns { url, status, httpStatus, redirects, finalUrl,
+ * error, elapsedMs }, where `redirects` lists each hop as { status, from, to }.
+ */
+async function checkLink(url, options) {
+  const started = Date.now();
+  const redirects = [];
+  let current = url;
+
+  try {
+    for (;;) {
+      const response = await requestOnce(current, options);
+      const location = response.headers && response.headers.get('location');
+
+      if (response.status >= 300 && response.status < 400 && location) {
+        if (redirects.length >= options.maxRedirects) {
+          return { url, status: 'network-error', httpStatus: response.status, redirects, finalUrl: current,
+                   error: `more than ${options.maxRedirects} redirects`, elapsedMs: Date.now() - started };
+        }
+        const next = new URL(location, current).toString();
+        redirects.push({ status: response.status, from: current, to: next });
+        current = next;
+        continue;
+      }
+
+      return { url, status: classifyStatus(response.status, redirects.length > 0), httpStatus: response.status,
+               redirects, finalUrl: current, error: null, elapsedMs: Date.now() - started };
+    }
+  } catch (error) {
+    const timedOut = error && (error.name === 'AbortError' || error.name === 'TimeoutError');
+    return { url, status: timedOut ? 'timeout' : 'network-error', httpStatus: null, redirects, finalUrl: current,
+             error: timedOut ? `no response within ${options.timeout} ms` : String((error && error.cause && (error.cause.code || error.cause.message)) || (error && error.message) || error),
+             elapsedMs: Date.now() - started };
+  }
+}
+
+/**
+ * Check a list of links ({ url, sources }) and return their results in the
+ * same order.
+ *
+ * Options: fetch (defaults to the global fetch), timeout (ms), concurrency,
+ * maxRedirects, allowlist ([{ pattern, regex }]), cache (object, updated in
+ * place), maxAgeDays, now (ms timestamp), onResult (progress callback).
+ */
+async function checkLinks(links, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, fetch: globalThis.fetch, allowlist: [], cache: {}, now: Date.now(), ...options };
+  const maxAgeMs = settings.maxAgeDays * 24 * 60 * 60 * 1000;
+  const results = new Array(links.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < links.length) {
+      const index = nextIndex++;
+      const link = links[index];
+      const allowed = findAllowlistEntry(link.url, settings.allowlist);
+      const cached = settings.cache[link.url];
+
+      let result;
+      if (allowed) {
+        result = { url: link.url, status: 'skipped', httpStatus: null, redirects: [], finalUrl: link.url,
+                   error: null, note: `allowlisted (${allowed.pattern})` };
+      } else if (cached && settings.now - cached.checkedAt < maxAgeMs) {
+        result = { ...cached.result, cached: true };
+      } else {
+        result = await checkLink(link.url, settings);
+        // Redirects are re-checked every run, so a moved page keeps being reported.
+        if (result.status === 'ok') {
+          settings.cache[link.url] = { checkedAt: settings.now, result };
+        } else {
+          delete settings.cache[link.url];
+        }
+      }
+
+      results[index] = { ...result, sources: link.sources };
+      if (settings.onResult) settings.onResult(results[index], index, links.length);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(settings.concurrency, links.length)) }, worker));
+  return results;
+}
+
+function summarize(results) {
+  const summary = { total: results.length, ok: 0, redirect: 0, skipped: 0, 'client-error': 0, 'server-error': 0, timeout: 0, 'network-error': 0 };
+  results.forEach(result => { summary[result.status] += 1; });
+  summary.broken = results.filter(result => BROKEN_STATUSES.has(result.status)).length;
+  return summary;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+/**
+ * A standalone HTML page listing the results, problems first.
+ */
+function renderHtmlReport(report) {
+  const order = ['client-error', 'server-error', 'timeout', 'network-error', 'redirect', 'skipped', 'ok'];
+  const rows = report.results
+    .slice()
+    .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status) || a.url.localeCompare(b.url))
+    .map(result => {
+      const detail = [
+        result.httpStatus ? `HTTP ${result.httpStatus}` : '',
+        result.error || result.note || '',
+        result.redirects.map(hop => `${hop.status} → ${escapeHtml(hop.to)}`).join('<br>'),
+        result.cached ? '<em>cached</em>' : ''
+      ].filter(Boolean).join('<br>');
+      const sources = result.sources
+        .map(source => `${escapeHtml(source.file)}:${source.line}${source.context ? ` — ${escapeHtml(source.context)}` : ''}`)
+        .join('<br>');
+      return `      <tr class="${result.status}">
+        <td>${escapeHtml(result.status)}</td>
+        <td><a href="${escapeHtml(result.url)}">${escapeHtml(result.url)}</a></td>
+        <td>${detail}</td>
+        <td>${sources}</td>
+      </tr>`;
+    })
+    .join('\n');
+
+  const counts = Object.entries(report.summary)
+    .filter(([key]) => key !== 'total' && key !== 'broken')
+    .map(([key, value]) => `${escapeHtml(key)}: ${value}`)
+    .join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Link check report</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f3f3f3; }
+    td:first-child { white-space: nowrap; font-weight: bold; }
+    tr.client-error td:first-child, tr.server-error td:first-child,
+    tr.timeout td:first-child, tr.network-error td:first-child { color: #b00020; }
+    tr.redirect td:first-child { color: #a15c00; }
+    tr.ok td:first-child { color: #2e7d32; }
+    tr.skipped td:first-child { color: #777; }
+  </style>
+</head>
+<body>
+  <h1>Link check report</h1>
+  <p>Checked ${escapeHtml(report.generatedAt)} · ${report.summary.total} links · ${report.summary.broken} broken</p>
+  <p>${counts}</p>
+  <table>
+    <thead>
+      <tr><th>Status</th><th>URL</th><th>Details</th><th>Used in</th></tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+function parseArgs(args) {
+  const options = { cache: true, outDir: OUTPUT_DIR, allowlist: ALLOWLIST_FILE };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+      return args[++i];
+    };
+    if (arg === '--no-cache') options.cache = false;
+    else if (arg === '--timeout') options.timeout = Number(value());
+    else if (arg === '--concurrency') options.concurrency = Number(value());
+    else if (arg === '--max-age') options.maxAgeDays = Number(value());
+    else if (arg === '--out') options.outDir = value();
+    else if (arg === '--allowlist') options.allowlist = value();
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+}
+
+async function main(args) {
+  let cli;
+  try {
+    cli = parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\nUsage: node Code/check_links.js [--no-cache] [--timeout ms] [--concurrency n] [--max-age days] [--out dir] [--allowlist file]`);
+    process.exit(2);
+  }
+
+  const outDir = path.resolve(PROJECT_ROOT, cli.outDir);
+  const cacheFile = path.join(outDir, CACHE_FILE);
+  const cache = cli.cache ? readCache(cacheFile) : {};
+  const links = collectLinks();
+
+  console.log(`Checking ${links.length} links...`);
+  const results = await checkLinks(links, {
+    timeout: cli.timeout || DEFAULT_OPTIONS.timeout,
+    concurrency: cli.concurrency || DEFAULT_OPTIONS.concurrency,
+    maxAgeDays: Number.isFinite(cli.maxAgeDays) ? cli.maxAgeDays : DEFAULT_OPTIONS.maxAgeDays,
+    allowlist: readAllowlist(cli.allowlist),
+    cache,
+    onResult: result => {
+      if (BROKEN_STATUSES.has(result.status) || result.status === 'redirect') {
+        const source = result.sources[0];
+        const detail = result.error || (result.status === 'redirect' ? `→ ${result.finalUrl}` : `HTTP ${result.httpStatus}`);
+        console.log(`  ${result.status.padEnd(13)} ${result.url}  ${detail}  (${source.file}:${source.line})`);
+      }
+    }
+  });
+
+  const report = { generatedAt: new Date().toISOString(), summary: summarize(results), results };
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'report.json'), `${JSON.stringify(report, null, 2)}\n`);
+  fs.writeFileSync(path.join(outDir, 'report.html'), renderHtmlReport(report));
+  fs.writeFileSync(cacheFile, `${JSON.stringify(cache, null, 2)}\n`);
+
+  const { summary } = report;
+  console.log(`\n${summary.ok} ok, ${summary.redirect} redirected, ${summary.skipped} skipped, ${summary.broken} broken.`);
+  console.log(`Report: ${path.relative(PROJECT_ROOT, path.join(outDir, 'report.html'))}`);
+  if (summary.broken) process.exit(1);
+}
+
+if (require.main === module) {
+  // Unreadable listings or an unwritable report folder: report the reason, not a stack trace.
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exit(2);
+  });
+}
+
+module.exports = {
+  collectLinks,
+  extractListingUrls,
+  extractPageUrls,
+  readAllowlist,
+  checkLink,
+  checkLinks,
+  summarize,
+  renderHtmlReport
+};
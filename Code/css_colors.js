@@ -0,0 +1,148 @@
+/**
+ * This script handles reading CSS colors in JavaScript, so the canvases can
+ * take their palette from CSS custom properties whatever notation the
+ * stylesheet (or getComputedStyle()) uses.
+ *
+ * Used on every page with a `.network-canvas`. Load it before
+ * Code/canvas_scenes.js.
+ *
+ * It includes the following features:
+ *    1. parseCssColor(): any CSS color to { red, green, blue, alpha }. Hex
+ *       (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba() and hsl()/hsla() in
+ *       both comma and space syntax, `color(srgb …)` and `transparent` are
+ *       parsed directly; anything else (named colors, color-mix(), var(), …)
+ *       is resolved by the browser. Surrounding whitespace, as returned for
+ *       custom properties, is ignored.
+ *    2. formatCssColor() and cssColorWithAlpha() to turn a color back into an
+ *       rgba() string, optionally with extra transparency.
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const CSS_COLOR_CACHE_LIMIT = 256;
+const cssColorCache = new Map();
+
+function clampColorChannel(value, max) {
+  return Math.min(max, Math.max(0, value));
+}
+
+// A number or percentage; percentages are scaled to `percentOf`.
+function parseColorNumber(token, percentOf) {
+  if (token === undefined || token === 'none') return 0;
+  const number = parseFloat(token);
+  if (Number.isNaN(number)) return NaN;
+  return token.trim().endsWith('%') ? (number / 100) * percentOf : number;
+}
+
+function parseHexColor(text) {
+  const match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text);
+  if (!match) return null;
+  let hex = match[1];
+  if (hex.length <= 4) hex = hex.split('').map(char => char + char).join('');
+  return {
+    red: parseInt(hex.slice(0, 2), 16),
+    green: parseInt(hex.slice(2, 4), 16),
+    blue: parseInt(hex.slice(4, 6), 16),
+    alpha: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+  };
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const section = (((hue % 360) + 360) % 360) / 60;
+  const second = chroma * (1 - Math.abs((section % 2) - 1));
+  const [red, green, blue] = [
+    [chroma, second, 0], [second, chroma, 0], [0, chroma, second],
+    [0, second, chroma], [second, 0, chroma], [chroma, 0, second]
+  ][Math.floor(section) % 6];
+  const offset = lightness - chroma / 2;
+  return [red, green, blue].map(channel => (channel + offset) * 255);
+}
+
+// rgb(), rgba(), hsl(), hsla() and color(srgb …), in comma or space syntax.
+function parseFunctionalColor(text) {
+  const match = /^(rgba?|hsla?|color)\(\s*([^)]*)\)$/.exec(text);
+  if (!match) return null;
+  const name = match[1];
+  const [channels, slashAlpha] = match[2].split('/').map(part => part.trim());
+  const tokens = channels.split(/[\s,]+/).filter(Boolean);
+  let alphaToken = slashAlpha;
+
+  if (name === 'color') {
+    if (tokens.shift() !== 'srgb') return null;
+  }
+  if (alphaToken === undefined && tokens.length === 4) alphaToken = tokens.pop();
+  if (tokens.length !== 3) return null;
+
+  let rgb;
+  if (name === 'color') {
+    rgb = tokens.map(token => parseColorNumber(token, 1) * 255);
+  } else if (name.startsWith('rgb')) {
+    rgb = tokens.map(token => parseColorNumber(token, 255));
+  } else {
+    // Saturation and lightness are percentages, with or without the % sign.
+    rgb = hslToRgb(parseFloat(tokens[0]), parseFloat(tokens[1]) / 100, parseFloat(tokens[2]) / 100);
+  }
+  const alpha = alphaToken === undefined ? 1 : parseColorNumber(alphaToken, 1);
+  if (rgb.some(Number.isNaN) || Number.isNaN(alpha)) return null;
+
+  return {
+    red: Math.round(clampColorChannel(rgb[0], 255)),
+    green: Math.round(clampColorChannel(rgb[1], 255)),
+    blue: Math.round(clampColorChannel(rgb[2], 255)),
+    alpha: clampColorChannel(alpha, 1)
+  };
+}
+
+// Let the browser resolve any other color through a hidden probe element.
+function resolveCssColorWithBrowser(text) {
+  if (typeof document === 'undefined' || !document.documentElement) return null;
+  const probe = document.createElement('span');
+  probe.style.color = text;
+  if (!probe.style.color) return null; // not a valid color
+
+  probe.style.display = 'none';
+  document.documentElement.appendChild(probe);
+  const resolved = getComputedStyle(probe).color;
+  probe.remove();
+  return parseFunctionalColor(resolved.trim().toLowerCase());
+}
+
+/**
+ * Parse any CSS color into { red, green, blue, alpha } (channels 0–255,
+ * alpha 0–1). Returns null for an empty or invalid value.
+ */
+function parseCssColor(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  if (!text) return null;
+  if (cssColorCache.has(text)) return cssColorCache.get(text);
+
+  const color = text === 'transparent'
+    ? { red: 0, green: 0, blue: 0, alpha: 0 }
+    : parseHexColor(text) || parseFunctionalColor(text) || resolveCssColorWithBrowser(text);
+
+  // Values with var() depend on the current theme, so they are not cached.
+  if (!text.includes('var(')) {
+    if (cssColorCache.size >= CSS_COLOR_CACHE_LIMIT) cssColorCache.clear();
+    cssColorCache.set(text, color);
+  }
+  return color;
+}
+
+/**
+ * An rgba() string for a parsed color.
+ */
+function formatCssColor(color) {
+  return `rgba(${color.red}, ${color.green}, ${color.blue}, ${Number(color.alpha.toFixed(4))})`;
+}
+
+/**
+ * `color` as an rgba() string with its alpha multiplied by `alpha`. A value
+ * that cannot be parsed is returned trimmed, unchanged.
+ */
+function cssColorWithAlpha(color, alpha = 1) {
+  const parsed = parseCssColor(color);
+  if (!parsed) return String(color === undefined || color === null ? '' : color).trim();
+  return formatCssColor({ ...parsed, alpha: parsed.alpha * alpha });
+}
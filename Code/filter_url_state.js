@@ -0,0 +1,117 @@
+/**
+ * This script handles keeping the resource page filters, sort order, keyword
+ * search, and "Show More" depth in the page URL, so a filtered view can be
+ * shared as a link and revisited with the browser's back/forward buttons.
+ *
+ * Used on the filter/search page.
+ *
+ * It includes the following features:
+ *    1. Reading the filter state from the query string on page load.
+ *    2. Writing the filter state back to the query string, either as a new
+ *       history entry (pushState) or in place (replaceState).
+ *    3. Leaving unrelated query parameters untouched and omitting values that
+ *       match the defaults, so unfiltered pages keep a clean URL.
+ *
+ * Query string layout (values are the plain category labels):
+ *    ?categories1=School%20of%20Public%20Health&categories3=Course&sort=title-asc&q=causal&shown=15
+ *    &updated=90 (last 90 days) or &updated=2025-01-01..2025-06-30 (custom range)
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const FILTER_URL_SORT_PARAM = 'sort';
+const FILTER_URL_QUERY_PARAM = 'q';
+const FILTER_URL_DATE_RANGE_PARAM = 'updated';
+const FILTER_URL_SHOWN_PARAM = 'shown';
+
+/**
+ * The sort order used when the URL does not name one: "Best match" while a
+ * search is active, otherwise "No sorting".
+ */
+function defaultFilterSort(query) {
+  return query && query.trim() ? 'relevance' : 'default';
+}
+
+/**
+ * Read the filter state from the current URL.
+ *
+ * groupNames lists the filter group names (e.g. "categories1") to look for.
+ * Returns { categories: { [groupName]: string[] }, sort, query, dateRange, shown }, where
+ * `shown` is null when the URL does not specify a "Show More" depth.
+ */
+function readFilterUrlState(groupNames) {
+  const params = new URLSearchParams(window.location.search);
+
+  const categories = {};
+  groupNames.forEach(name => {
+    categories[name] = params.getAll(name);
+  });
+
+  const query = params.get(FILTER_URL_QUERY_PARAM) || '';
+  const shown = parseInt(params.get(FILTER_URL_SHOWN_PARAM), 10);
+
+  return {
+    categories,
+    sort: params.get(FILTER_URL_SORT_PARAM) || defaultFilterSort(query),
+    query,
+    dateRange: params.get(FILTER_URL_DATE_RANGE_PARAM) || '',
+    shown: Number.isFinite(shown) && shown > 0 ? shown : null
+  };
+}
+
+/**
+ * Build the URL for a filter state. `defaultShown` is the initial number of
+ * visible tiles; a `shown` value equal to it is left out of the URL.
+ */
+function buildFilterUrl(state, defaultShown) {
+  const url = new URL(window.location.href);
+  const managed = new Set([
+    ...Object.keys(state.categories),
+    FILTER_URL_SORT_PARAM,
+    FILTER_URL_QUERY_PARAM,
+    FILTER_URL_DATE_RANGE_PARAM,
+    FILTER_URL_SHOWN_PARAM
+  ]);
+
+  // Preserve any parameters this script does not own.
+  const params = new URLSearchParams();
+  url.searchParams.forEach((value, key) => {
+    if (!managed.has(key)) params.append(key, value);
+  });
+
+  Object.keys(state.categories).forEach(name => {
+    state.categories[name].forEach(value => params.append(name, value));
+  });
+  if (state.query) {
+    params.set(FILTER_URL_QUERY_PARAM, state.query);
+  }
+  if (state.dateRange) {
+    params.set(FILTER_URL_DATE_RANGE_PARAM, state.dateRange);
+  }
+  if (state.sort && state.sort !== defaultFilterSort(state.query)) {
+    params.set(FILTER_URL_SORT_PARAM, state.sort);
+  }
+  if (state.shown && state.shown !== defaultShown) {
+    params.set(FILTER_URL_SHOWN_PARAM, state.shown);
+  }
+
+  url.search = params.toString();
+  return url.toString();
+}
+
+/**
+ * Write the filter state to the URL. By default a new history entry is pushed
+ * so back/forward step through filter states; pass { replace: true } to update
+ * the current entry instead (used while typing and for "Show More").
+ */
+function writeFilterUrlState(state, options = {}) {
+  const url = buildFilterUrl(state, options.defaultShown);
+  if (url === window.location.href) return;
+
+  if (options.replace) {
+    history.replaceState({ filterState: true }, '', url);
+  } else {
+    history.pushState({ filterState: true }, '', url);
+  }
+}
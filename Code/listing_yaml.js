@@ -0,0 +1,302 @@
+/**
+ * This script handles reading the listing YAML files (resources, about-us)
+ * outside of Quarto, for the build-time checks run with Node.
+ *
+ * Used by Code/validate_listings.js. Needs only Node's built-in modules.
+ *
+ * It includes the following features:
+ *    1. Parsing the YAML subset the listing files use: block mappings and
+ *       sequences, plain/quoted scalars, `|` and `>` block scalars, short
+ *       `[a, b]` flow lists, and `#` comments.
+ *    2. Recording the line and column of every key and list entry, so errors
+ *       can point at the exact spot in the file.
+ *    3. Reporting syntax problems (bad indentation, tabs, duplicate keys) as
+ *       located errors instead of throwing on the first one.
+ *
+ * Anchors, aliases, tags and multi-document files are not supported; the
+ * listing files do not use them.
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-\[\]{},:][^:#]*?|-[^\s:][^:#]*?)\s*:(?:\s+(.*))?$/;
+
+/**
+ * Strip a trailing `# comment` that is outside of quotes.
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      if (i === 0 || /[\s:\[,-]/.test(text[i - 1])) quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+/**
+ * Path segment helpers: `items[3].tiles[0].title`.
+ */
+function joinPath(path, segment) {
+  if (typeof segment === 'number') return `${path}[${segment}]`;
+  return path ? `${path}.${segment}` : segment;
+}
+
+/**
+ * Convert a single-line scalar to its value. Quoted values stay strings;
+ * plain values become null, booleans and numbers where YAML says so. Dates
+ * are left as strings (YYYY-MM-DD) so they can be checked as written.
+ */
+function parseScalar(text, onError) {
+  if (text === '' || text === '~' || text === 'null') return null;
+
+  if (text[0] === '"') {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(text)) {
+      onError('unterminated or malformed double-quoted string');
+      return text.replace(/^"|"$/g, '');
+    }
+    try {
+      return JSON.parse(text.replace(/\\'/g, "'").replace(/\t/g, '\\t'));
+    } catch (error) {
+      onError('invalid escape in double-quoted string');
+      return text.slice(1, -1);
+    }
+  }
+  if (text[0] === "'") {
+    if (!/^'(?:[^']|'')*'$/.test(text)) {
+      onError('unterminated or malformed single-quoted string');
+      return text.replace(/^'|'$/g, '');
+    }
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text[0] === '[') {
+    if (text[text.length - 1] !== ']') {
+      onError('unterminated flow list (missing "]")');
+      return [];
+    }
+    const inner = text.slice(1, -1).trim();
+    if (!inner) return [];
+    return (inner.match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+/g) || [])
+      .map(part => part.trim())
+      .filter(part => part !== ',' && part !== '')
+      .map(part => parseScalar(part, onError));
+  }
+  if (text[0] === '{') {
+    onError('flow mappings ("{ ... }") are not supported; use an indented block');
+    return text;
+  }
+
+  if (text === 'true' || text === 'True') return true;
+  if (text === 'false' || text === 'False') return false;
+  if (/^[-+]?\d+$/.test(text)) return Number(text);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Parse listing YAML text.
+ *
+ * Returns { data, locations, errors }:
+ *   - data: the parsed value
+ *   - locations: Map of path (e.g. "items[3].tiles[0].color") → { line, column } (1-based)
+ *   - errors: [{ line, column, message }] for syntax problems
+ */
+function parseListingYaml(source) {
+  const rawLines = source.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const locations = new Map();
+  const errors = [];
+
+  // Significant lines: indentation, content without comments, and 1-based line number.
+  const lines = [];
+  rawLines.forEach((raw, index) => {
+    const indentMatch = /^[ \t]*/.exec(raw)[0];
+    const content = stripComment(raw.slice(indentMatch.length));
+    if (!content) return;
+    if (content === '---' || content === '...') return;
+    if (indentMatch.includes('\t')) {
+      errors.push({ line: index + 1, column: 1, message: 'tab used for indentation (use spaces)' });
+    }
+    lines.push({ indent: indentMatch.replace(/\t/g, ' ').length, content, lineNumber: index + 1 });
+  });
+
+  let position = 0;
+
+  function error(line, column, message) {
+    errors.push({ line: line.lineNumber, column, message });
+  }
+
+  function isSequenceEntry(line) {
+    return line.content === '-' || line.content.startsWith('- ');
+  }
+
+  /**
+   * Read a `|` / `>` block scalar whose header sits on `headerLine`. Uses the
+   * raw file lines, since comments and blank lines belong to the text.
+   */
+  function parseBlockScalar(indicator, headerLine, parentIndent) {
+    const folded = indicator[0] === '>';
+    const chomp = indicator.includes('-') ? 'strip' : indicator.includes('+') ? 'keep' : 'clip';
+
+    const body = [];
+    let blockIndent = null;
+    let rawIndex = headerLine.lineNumber; // first raw line after the header (0-based)
+    for (; rawIndex < rawLines.length; rawIndex++) {
+      const raw = rawLines[rawIndex];
+      if (!raw.trim()) {
+        body.push('');
+        continue;
+      }
+      const indent = /^ */.exec(raw)[0].length;
+      if (indent <= parentIndent) break;
+      if (blockIndent === null) blockIndent = indent;
+      if (indent < blockIndent) {
+        errors.push({ line: rawIndex + 1, column: indent + 1, message: 'block text is less indented than its first line' });
+      }
+      body.push(raw.slice(Math.min(indent, blockIndent)));
+    }
+
+    // Skip the significant lines that belonged to the block.
+    while (position < lines.length && lines[position].lineNumber <= rawIndex) position++;
+
+    let trailing = 0;
+    while (body.length && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+
+    let text;
+    if (folded) {
+      text = body.reduce((result, line, index) => {
+        if (index === 0) return line;
+        if (line === '' || /^\s/.test(line)) return `${result}\n${line}`;
+        return result.endsWith('\n') || result === '' ? result + line : `${result} ${line}`;
+      }, '');
+    } else {
+      text = body.join('\n');
+    }
+
+    if (!body.length) return '';
+    if (chomp === 'strip') return text;
+    if (chomp === 'keep') return text + '\n'.repeat(trailing + 1);
+    return `${text}\n`;
+  }
+
+  /**
+   * Parse the value that follows `key:` or `- `, given the text after the
+   * indicator and the indentation of the line that owns it. Only a mapping
+   * key may have its list at the same indentation as the key itself.
+   */
+  function parseInlineOrNested(rest, line, column, ownerIndent, path, isMappingValue) {
+    if (rest !== undefined && rest !== '') {
+      if (/^[|>][-+]?\d*$/.test(rest)) {
+        position++;
+        return parseBlockScalar(rest, line, ownerIndent);
+      }
+      if (/^[&*!]/.test(rest)) {
+        error(line, column, 'anchors, aliases and tags are not supported');
+      }
+      position++;
+      return parseScalar(rest, message => error(line, column, message));
+    }
+
+    position++;
+    const next = lines[position];
+    if (!next) return null;
+    // A list may sit at the same indentation as its mapping key.
+    if (next.indent > ownerIndent || (isMappingValue && next.indent === ownerIndent && isSequenceEntry(next))) {
+      return parseBlock(next.indent, path);
+    }
+    return null;
+  }
+
+  function parseMapping(indent, path) {
+    const result = {};
+    while (position < lines.length) {
+      const line = lines[position];
+      if (line.indent < indent) break;
+      if (line.indent > indent) {
+        error(line, line.indent + 1, 'unexpected indentation');
+        position++;
+        continue;
+      }
+      if (isSequenceEntry(line)) break;
+
+      const match = KEY_PATTERN.exec(line.content);
+      if (!match) {
+        error(line, line.indent + 1, `expected "key: value", found "${line.content}"`);
+        position++;
+        continue;
+      }
+
+      const key = String(parseScalar(match[1].trim(), () => {}));
+      const keyPath = joinPath(path, key);
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        error(line, line.indent + 1, `duplicate key "${key}"`);
+      }
+      locations.set(keyPath, { line: line.lineNumber, column: line.indent + 1 });
+
+      const valueColumn = line.indent + line.content.length - (match[2] || '').length + 1;
+      result[key] = parseInlineOrNested(match[2], line, valueColumn, indent, keyPath, true);
+    }
+    return result;
+  }
+
+  function parseSequence(indent, path) {
+    const result = [];
+    while (position < lines.length) {
+      const line = lines[position];
+      if (line.indent < indent) break;
+      if (line.indent > indent) {
+        error(line, line.indent + 1, 'unexpected indentation');
+        position++;
+        continue;
+      }
+      if (!isSequenceEntry(line)) break;
+
+      const itemPath = joinPath(path, result.length);
+      locations.set(itemPath, { line: line.lineNumber, column: line.indent + 1 });
+
+      const rest = line.content.slice(1).trimStart();
+      const restIndent = line.indent + line.content.length - rest.length;
+
+      if (rest && (KEY_PATTERN.test(rest) || isSequenceEntry({ content: rest }))) {
+        // "- key: value" starts a mapping (or "- - x" a nested list) at the column after the dash.
+        lines[position] = { indent: restIndent, content: rest, lineNumber: line.lineNumber };
+        result.push(parseBlock(restIndent, itemPath));
+      } else {
+        result.push(parseInlineOrNested(rest, line, restIndent + 1, indent, itemPath, false));
+      }
+    }
+    return result;
+  }
+
+  function parseBlock(indent, path) {
+    const line = lines[position];
+    if (!line) return null;
+    if (isSequenceEntry(line)) return parseSequence(indent, path);
+    if (KEY_PATTERN.test(line.content)) return parseMapping(indent, path);
+
+    position++;
+    return parseScalar(line.content, message => error(line, line.indent + 1, message));
+  }
+
+  let data = null;
+  if (lines.length) {
+    data = parseBlock(lines[0].indent, '');
+    for (; position < lines.length; position++) {
+      const line = lines[position];
+      error(line, line.indent + 1, 'unexpected content (check the indentation of this line)');
+    }
+  }
+
+  return { data, locations, errors };
+}
+
+module.exports = { parseListingYaml, joinPath };
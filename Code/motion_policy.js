@@ -0,0 +1,159 @@
+/**
+ * This script handles when the decorative canvas animations are allowed to
+ * run, so motion is never forced on visitors and no frames are drawn that
+ * nobody can see.
+ *
+ * Used on every page with a `.network-canvas`. Load it before
+ * Code/canvas_engine.js, which asks it before animating.
+ *
+ * It includes the following features:
+ *    1. Honouring the operating system's "reduce motion" setting
+ *       (`prefers-reduced-motion: reduce`): canvases show a static frame.
+ *    2. Suspending animation while the tab is hidden (`visibilitychange`).
+ *    3. Reporting whether each canvas is on screen, through one shared
+ *       IntersectionObserver, so offscreen canvases stop drawing.
+ *    4. A visible "Pause animations" toggle (bottom-left of the page) whose
+ *       choice is remembered in localStorage across pages and visits.
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const MOTION_PAUSE_STORAGE_KEY = 'ai-resources-page:animations-paused';
+
+const motionPolicy = {
+  listeners: new Set(),
+  reducedMotionQuery: typeof window.matchMedia === 'function'
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null,
+  paused: readStoredAnimationPause(),
+  onscreenObserver: null,
+  onscreenCallbacks: new Map() // element → callback(isOnscreen)
+};
+
+// localStorage can be unavailable (private browsing, blocked storage); default to "not paused".
+function readStoredAnimationPause() {
+  try {
+    return window.localStorage.getItem(MOTION_PAUSE_STORAGE_KEY) === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+function notifyMotionPolicyChange() {
+  motionPolicy.listeners.forEach(listener => listener());
+}
+
+/**
+ * Whether the system asks for reduced motion.
+ */
+function prefersReducedMotion() {
+  return Boolean(motionPolicy.reducedMotionQuery && motionPolicy.reducedMotionQuery.matches);
+}
+
+/**
+ * Whether animations may run right now: no reduced-motion preference, not
+ * paused with the toggle, and the tab is visible.
+ */
+function isMotionAllowed() {
+  return !prefersReducedMotion() && !motionPolicy.paused && document.visibilityState !== 'hidden';
+}
+
+/**
+ * Call `listener()` whenever isMotionAllowed() may have changed. Returns a
+ * function that removes the listener.
+ */
+function onMotionPolicyChange(listener) {
+  motionPolicy.listeners.add(listener);
+  return () => motionPolicy.listeners.delete(listener);
+}
+
+function areAnimationsPaused() {
+  return motionPolicy.paused;
+}
+
+/**
+ * Pause or resume animations site-wide and remember the choice.
+ */
+function setAnimationsPaused(paused) {
+  motionPolicy.paused = Boolean(paused);
+  try {
+    window.localStorage.setItem(MOTION_PAUSE_STORAGE_KEY, String(motionPolicy.paused));
+  } catch (error) {
+    // The choice still applies to this page view.
+  }
+  notifyMotionPolicyChange();
+}
+
+/**
+ * Call `callback(isOnscreen)` when `element` enters or leaves the viewport.
+ * Elements count as on screen until the observer reports otherwise (and
+ * always, where IntersectionObserver is unavailable). Returns a function
+ * that stops observing.
+ */
+function observeOnscreen(element, callback) {
+  if (typeof IntersectionObserver !== 'function') return () => {};
+
+  if (!motionPolicy.onscreenObserver) {
+    motionPolicy.onscreenObserver = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        const onChange = motionPolicy.onscreenCallbacks.get(entry.target);
+        if (onChange) onChange(entry.isIntersecting);
+      });
+    }, { rootMargin: '50px' });
+  }
+
+  motionPolicy.onscreenCallbacks.set(element, callback);
+  motionPolicy.onscreenObserver.observe(element);
+  return () => {
+    motionPolicy.onscreenCallbacks.delete(element);
+    motionPolicy.onscreenObserver.unobserve(element);
+  };
+}
+
+// Keep the toggle's label and pressed state in step with the policy.
+function updateMotionToggle(button) {
+  const reduced = prefersReducedMotion();
+  button.disabled = reduced;
+  button.setAttribute('aria-pressed', String(reduced || motionPolicy.paused));
+  button.textContent = reduced
+    ? 'Animations off (reduced motion)'
+    : motionPolicy.paused ? 'Play animations' : 'Pause animations';
+}
+
+/**
+ * Add the "Pause animations" toggle to the page. Only pages with a canvas
+ * get one.
+ */
+function initializeMotionToggle() {
+  if (!document.querySelector('.network-canvas') || document.querySelector('.motion-toggle')) return;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'motion-toggle';
+  button.addEventListener('click', function () {
+    setAnimationsPaused(!motionPolicy.paused);
+  });
+  onMotionPolicyChange(() => updateMotionToggle(button));
+  updateMotionToggle(button);
+  document.body.appendChild(button);
+}
+
+if (motionPolicy.reducedMotionQuery) {
+  const query = motionPolicy.reducedMotionQuery;
+  if (typeof query.addEventListener === 'function') {
+    query.addEventListener('change', notifyMotionPolicyChange);
+  } else if (typeof query.addListener === 'function') {
+    query.addListener(notifyMotionPolicyChange);
+  }
+}
+document.addEventListener('visibilitychange', notifyMotionPolicyChange);
+
+// Another tab toggled the setting.
+window.addEventListener('storage', function (event) {
+  if (event.key !== MOTION_PAUSE_STORAGE_KEY) return;
+  motionPolicy.paused = event.newValue === 'true';
+  notifyMotionPolicyChange();
+});
+
+document.addEventListener('DOMContentLoaded', initializeMotionToggle);
@@ -1,57 +1,263 @@
 /**
- * This script handles client-side pagination for a list of citations displayed
- * on a webpage. It controls the visibility of citation items based on the current page.
- * 
+ * This script handles client-side pagination for lists displayed on a
+ * webpage. It controls which items of the list are visible based on the
+ * current page.
+ *
  * Functionality includes:
- *    1. Determining the number of pages based on the number of citation items.
- *    2. Updating the display of citations when the page changes.
- *    3. Handling next and previous page navigation.
+ *    1. Attaching a pager to any list marked with `data-pager`, with its own
+ *       page size. Every direct child of the list is one item, and any number
+ *       of pagers can run independently on the same page.
+ *    2. Navigation controls: first, previous, numbered pages (with ellipses
+ *       for long ranges), next and last. Controls that cannot be used are
+ *       disabled, the current page is marked with `aria-current`, and the
+ *       controls are hidden when everything fits on one page.
+ *    3. A "Page 2 of 5" indicator that is announced to screen readers
+ *       (`aria-live`) when the page changes.
+ *    4. Keeping the page in the URL query string, so a link opens on the same
+ *       page. The first page is left out of the URL.
+ *
+ * Markup (all attributes but `data-pager` are optional):
+ *    <ul id="citations-content" data-pager data-pager-size="3"
+ *        data-pager-param="citations-page" data-pager-label="Citations"
+ *        data-pager-controls="#citations-navigation">
+ *      <li>…</li>
+ *    </ul>
+ * The size defaults to 10 and the URL parameter to "<list id>-page" (or
+ * "page" without an id). The controls go into the `data-pager-controls`
+ * element, or right after the list. A `#citations-content` list without
+ * `data-pager` is paged three at a time, with its controls in the
+ * `.citations-navigation` element of its `.citations-box`.
  *
  * Author: Shelby Golden, M.S.
  *   Date: May 2025
- * 
+ *
  * Note: Written with the assistance of Yale's AI, Clarity.
  */
 
-document.addEventListener("DOMContentLoaded", function() {
-  let currentPage = 1; // Initialize the current page
-  const itemsPerPage = 3; // Number of citation items to display per page
-  const citationsContent = document.getElementById("citations-content");
-
-  if (citationsContent) {
-    // Calculate the total number of pages
-    const numPages = Math.ceil(citationsContent.children.length / itemsPerPage);
-
-    // Function to update the citation items based on the current page
-    function updateCitations() {
-      const items = citationsContent.children;
-      for (let i = 0; i < items.length; i++) {
-        // Display only the items that belong to the current page
-        items[i].style.display = (i >= (currentPage - 1) * itemsPerPage && i < currentPage * itemsPerPage) ? "list-item" : "none";
-      }
-    }
+const PAGER_DEFAULT_SIZE = 10;
+const PAGER_SIBLING_COUNT = 1; // page numbers shown on each side of the current page
 
-    // Function to go to the next page
-    function nextPage() {
-      if (currentPage < numPages) {
-        currentPage++;
-        updateCitations();
-      }
-    }
+/**
+ * The page buttons to show: page numbers, with 'ellipsis' for each skipped
+ * range. The first, last and current pages (and `siblings` pages around the
+ * current one) are always listed; a gap of a single page shows that page
+ * instead of an ellipsis.
+ */
+function pagerPageList(current, total, siblings = PAGER_SIBLING_COUNT) {
+  const pages = [];
+  for (let page = 1; page <= total; page++) {
+    if (page === 1 || page === total || Math.abs(page - current) <= siblings) pages.push(page);
+  }
+
+  const list = [];
+  pages.forEach((page, index) => {
+    const previous = pages[index - 1];
+    if (previous !== undefined && page - previous === 2) list.push(previous + 1);
+    else if (previous !== undefined && page - previous > 2) list.push('ellipsis');
+    list.push(page);
+  });
+  return list;
+}
+
+/**
+ * The page number named by `param` in the current URL, or 1.
+ */
+function readPagerUrlPage(param) {
+  const page = parseInt(new URLSearchParams(window.location.search).get(param), 10);
+  return Number.isFinite(page) && page > 0 ? page : 1;
+}
+
+/**
+ * The current URL with `param` set to `page` (removed for the first page).
+ */
+function buildPagerUrl(param, page) {
+  const url = new URL(window.location.href);
+  if (page > 1) {
+    url.searchParams.set(param, String(page));
+  } else {
+    url.searchParams.delete(param);
+  }
+  return url.toString();
+}
+
+// Build the navigation controls (empty until the first render).
+function createPagerElement(label) {
+  const nav = document.createElement('nav');
+  nav.className = 'pager';
+  nav.setAttribute('aria-label', label ? `${label} pages` : 'Pages');
+
+  const controls = document.createElement('ul');
+  controls.className = 'pager-controls';
+
+  const status = document.createElement('p');
+  status.className = 'pager-status';
+  status.setAttribute('aria-live', 'polite');
+
+  nav.append(controls, status);
+  return { nav, controls, status };
+}
+
+/**
+ * Page the children of `list`. Options (each defaults to the list's data
+ * attribute): size, param, label, controls (the element to hold the
+ * navigation). Returns { goTo, next, previous, first, last, currentPage,
+ * pageCount, refresh, syncWithUrl, destroy }.
+ */
+function createPager(list, options = {}) {
+  const sizeValue = parseInt(options.size || list.getAttribute('data-pager-size'), 10);
+  const size = Number.isFinite(sizeValue) && sizeValue > 0 ? sizeValue : PAGER_DEFAULT_SIZE;
+  const param = options.param || list.getAttribute('data-pager-param') || (list.id ? `${list.id}-page` : 'page');
+  const label = options.label || list.getAttribute('data-pager-label') || '';
+  const controlsSelector = list.getAttribute('data-pager-controls');
+  const container = options.controls || (controlsSelector && document.querySelector(controlsSelector)) || null;
+
+  const elements = createPagerElement(label);
+  if (container) {
+    container.replaceChildren(elements.nav);
+  } else {
+    list.after(elements.nav);
+  }
+
+  let items = [];
+  let page = 1;
+
+  const pageCount = () => Math.max(1, Math.ceil(items.length / size));
+
+  function makeControl(target, text, ariaLabel, disabled) {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pager-button';
+    button.setAttribute('data-pager-target', String(target));
+    button.setAttribute('aria-label', ariaLabel);
+    button.textContent = text;
+    button.disabled = disabled;
+    item.appendChild(button);
+    return item;
+  }
+
+  function render() {
+    const total = pageCount();
+    items.forEach((item, index) => {
+      item.hidden = Math.floor(index / size) !== page - 1;
+    });
 
-    // Function to go to the previous page
-    function prevPage() {
-      if (currentPage > 1) {
-        currentPage--;
-        updateCitations();
+    const controls = [
+      makeControl('first', '«', 'First page', page === 1),
+      makeControl('previous', '‹', 'Previous page', page === 1)
+    ];
+    pagerPageList(page, total).forEach(entry => {
+      if (entry === 'ellipsis') {
+        const item = document.createElement('li');
+        item.className = 'pager-ellipsis';
+        item.setAttribute('aria-hidden', 'true');
+        item.textContent = '…';
+        controls.push(item);
+        return;
       }
+      const control = makeControl(entry, String(entry), `Page ${entry}`, false);
+      if (entry === page) control.firstChild.setAttribute('aria-current', 'page');
+      controls.push(control);
+    });
+    controls.push(
+      makeControl('next', '›', 'Next page', page === total),
+      makeControl('last', '»', 'Last page', page === total)
+    );
+    elements.controls.replaceChildren(...controls);
+
+    elements.nav.hidden = total <= 1;
+    elements.status.textContent = `Page ${page} of ${total}`;
+  }
+
+  /**
+   * Show page `target` (clamped to the available pages). Options: updateUrl
+   * (default true).
+   */
+  function goTo(target, goToOptions = {}) {
+    const next = Math.min(pageCount(), Math.max(1, Math.round(target) || 1));
+    if (next === page && items.length) return;
+    page = next;
+    render();
+    if (goToOptions.updateUrl !== false) {
+      const url = buildPagerUrl(param, page);
+      if (url !== window.location.href) history.replaceState(history.state, '', url);
     }
+  }
+
+  // Handle clicks on any control, keeping focus on the matching control after the re-render.
+  function onClick(event) {
+    const button = event.target.closest('.pager-button');
+    if (!button || !elements.controls.contains(button)) return;
+
+    const target = button.getAttribute('data-pager-target');
+    const destinations = { first: 1, previous: page - 1, next: page + 1, last: pageCount() };
+    goTo(target in destinations ? destinations[target] : parseInt(target, 10));
+
+    const same = elements.controls.querySelector(`[data-pager-target="${target}"]:not(:disabled)`);
+    const current = elements.controls.querySelector('[aria-current="page"]');
+    const focusTarget = same || current;
+    if (focusTarget) focusTarget.focus();
+  }
+
+  /**
+   * Re-read the list's items (after items are added or removed), staying
+   * on the current page or the nearest one that still exists.
+   */
+  function refresh() {
+    items = Array.from(list.children);
+    page = Math.min(pageCount(), Math.max(1, page));
+    render();
+  }
+
+  /**
+   * Show the page named in the URL, without touching history. Call on load
+   * and on popstate.
+   */
+  function syncWithUrl() {
+    const target = Math.min(pageCount(), readPagerUrlPage(param));
+    if (target !== page) goTo(target, { updateUrl: false });
+  }
+
+  elements.controls.addEventListener('click', onClick);
+  window.addEventListener('popstate', syncWithUrl);
+  items = Array.from(list.children);
+  page = Math.min(pageCount(), readPagerUrlPage(param));
+  render();
+
+  function destroy() {
+    elements.controls.removeEventListener('click', onClick);
+    window.removeEventListener('popstate', syncWithUrl);
+    elements.nav.remove();
+    items.forEach(item => {
+      item.hidden = false;
+    });
+  }
+
+  return {
+    goTo,
+    next: () => goTo(page + 1),
+    previous: () => goTo(page - 1),
+    first: () => goTo(1),
+    last: () => goTo(pageCount()),
+    currentPage: () => page,
+    pageCount,
+    refresh,
+    syncWithUrl,
+    destroy
+  };
+}
 
-    // Initial call to display the first set of citation items on page load
-    updateCitations();
+// Attach a pager to every `data-pager` list, and to the citations list.
+document.addEventListener('DOMContentLoaded', function () {
+  document.querySelectorAll('[data-pager]').forEach(list => createPager(list));
 
-    // Attach the next and previous page functions to the window object for button actions
-    window.nextPage = nextPage;
-    window.prevPage = prevPage;
+  const citations = document.getElementById('citations-content');
+  if (citations && !citations.hasAttribute('data-pager')) {
+    const box = citations.closest('.citations-box');
+    createPager(citations, {
+      size: 3,
+      label: 'Citations',
+      controls: box && box.querySelector('.citations-navigation')
+    });
   }
-});
\ No newline at end of file
+});
@@ -1,58 +1,346 @@
 /**
- * This script handles the functionality for a timed feedback popup modal that 
- * appears after a specified delay when users visit the webpage.
- * 
+ * This script handles the functionality for the feedback popup modal: when it
+ * appears, how often a visitor sees it, and how it behaves as a dialog.
+ *
  * It includes the following features:
- *    1. Displaying a feedback popup after a configurable time delay.
- *    2. Opening multiple Microsoft Forms links in new tabs.
- *    3. Closing the modal via the close button (X) in the top-right corner.
- *    4. Closing the modal by clicking outside the popup content area.
- *    5. Auto-closing the modal when users click on any feedback form link.
- *    6. Configurable delay timing with common preset options commented.
+ *    1. Declarative triggers, set with data attributes on the popup or a JSON
+ *       config block inside it. The first trigger to fire shows the popup:
+ *         time   – after `delay` ms with the page visible
+ *         scroll – once the visitor has scrolled `scrollDepth` of the page
+ *         exit   – when the mouse leaves through the top of the window
+ *         visits – as soon as the page loads
+ *       Nothing is shown before the visitor's `minVisits`th visit (a visit is
+ *       a browser session), and at most once per page view.
+ *    2. Frequency capping in localStorage: after the popup is dismissed it
+ *       stays away for `dismissCooldownDays`, after a form link is followed
+ *       for `submitCooldownDays`, and "Don't ask again" turns it off for good.
+ *    3. Dialog behavior: focus moves into the popup, Tab stays inside it,
+ *       Escape, the close button (X) or a click outside the content closes it,
+ *       and focus returns to where it was.
+ *    4. Opening the Microsoft Forms links in new tabs and closing the popup
+ *       when one is clicked.
+ *
+ * Markup (every data attribute and the config block are optional; data
+ * attributes win over the block, which wins over the defaults below):
+ *    <div id="formsPopup" class="popup"
+ *         data-popup-triggers="time scroll" data-popup-delay="120000"
+ *         data-popup-scroll-depth="0.6" data-popup-min-visits="2"
+ *         data-popup-dismiss-cooldown-days="30" data-popup-submit-cooldown-days="180">
+ *      <script type="application/json" data-popup-config>{ "triggers": ["exit"] }</script>
+ *      <div class="popup-content">
+ *        <span class="close-button">&times;</span>
+ *        <h2>…</h2>
+ *        <div class="form-links"><a class="form-link" href="…">…</a></div>
+ *        <button type="button" data-popup-action="never">Don't ask again</button>
+ *      </div>
+ *    </div>
+ * `data-popup-action="dismiss"` and `data-popup-action="submit"` mark other
+ * elements that close the popup like the close button and the form links.
  *
  * Author: Shelby Golden, M.S.
  *   Date: November 2025
- * 
+ *
  * Note: Written with the assistance of Yale's AI, Clarity.
  */
 
-document.addEventListener("DOMContentLoaded", function() {
-    // Set delay time in milliseconds
-    // 5 seconds: var delayTime = 5000;
-    // 30 seconds: var delayTime = 30000;
-    // 1 minute: var delayTime = 60000;
-    // 2 minutes: var delayTime = 120000;
-    // 3 minutes: var delayTime = 180000; (current setting)
-    // 5 minutes: var delayTime = 300000;
-    var delayTime = 120000; // Change this to adjust the delay
-    
-    var formsPopup = document.getElementById("formsPopup");
-    var closeBtn = document.querySelector(".close-button");
-    
-    // Show the popup after the specified delay
-    setTimeout(function() {
-        formsPopup.style.display = "block";
-    }, delayTime);
-
-    // When the user clicks on close button (X), close the popup
-    closeBtn.addEventListener("click", function() {
-        formsPopup.style.display = "none";
-    });
+const FEEDBACK_PROMPT_STORAGE_PREFIX = 'ai-resources-page:feedback-prompt:';
+const FEEDBACK_PROMPT_DAY_MS = 24 * 60 * 60 * 1000;
+const FEEDBACK_PROMPT_TRIGGERS = ['time', 'scroll', 'exit', 'visits'];
 
-    // When the user clicks anywhere outside of the popup content, close it
-    formsPopup.addEventListener("click", function(event) {
-        if (event.target === formsPopup) {
-            formsPopup.style.display = "none";
-        }
-    });
-    
-    // Optional: Close popup when any form link is clicked
-    var formLinks = document.querySelectorAll(".form-link");
-    formLinks.forEach(function(link) {
-        link.addEventListener("click", function() {
-            setTimeout(function() {
-                formsPopup.style.display = "none";
-            }, 100);
-        });
+const FEEDBACK_PROMPT_DEFAULTS = {
+  triggers: ['time'],
+  delay: 120000,            // ms of visible time on the page (2 minutes)
+  scrollDepth: 0.5,         // fraction of the page scrolled through
+  minVisits: 1,
+  dismissCooldownDays: 30,
+  submitCooldownDays: 180
+};
+
+// data attribute → config option
+const FEEDBACK_PROMPT_ATTRIBUTES = {
+  'data-popup-triggers': 'triggers',
+  'data-popup-delay': 'delay',
+  'data-popup-scroll-depth': 'scrollDepth',
+  'data-popup-min-visits': 'minVisits',
+  'data-popup-dismiss-cooldown-days': 'dismissCooldownDays',
+  'data-popup-submit-cooldown-days': 'submitCooldownDays'
+};
+
+// Triggers as a list of known names, from an array or a space/comma separated string.
+function parseFeedbackPromptTriggers(value) {
+  const names = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return names
+    .map(name => String(name).trim().toLowerCase())
+    .filter(name => FEEDBACK_PROMPT_TRIGGERS.includes(name));
+}
+
+/**
+ * The popup's configuration: the defaults, overridden by its JSON config
+ * block, overridden by its data attributes. Invalid values are ignored.
+ */
+function readFeedbackPromptConfig(popup) {
+  const overrides = {};
+
+  const block = popup.querySelector('script[type="application/json"][data-popup-config]');
+  if (block) {
+    try {
+      Object.assign(overrides, JSON.parse(block.textContent));
+    } catch (error) {
+      console.warn(`Feedback popup "${popup.id}": ignoring the invalid config block.`, error);
+    }
+  }
+  Object.entries(FEEDBACK_PROMPT_ATTRIBUTES).forEach(([attribute, option]) => {
+    if (popup.hasAttribute(attribute)) overrides[option] = popup.getAttribute(attribute);
+  });
+
+  const config = { ...FEEDBACK_PROMPT_DEFAULTS };
+  Object.keys(FEEDBACK_PROMPT_DEFAULTS).forEach(option => {
+    if (overrides[option] === undefined) return;
+    if (option === 'triggers') {
+      config.triggers = parseFeedbackPromptTriggers(overrides.triggers);
+      return;
+    }
+    const value = parseFloat(overrides[option]);
+    if (Number.isFinite(value) && value >= 0) config[option] = value;
+  });
+  config.scrollDepth = Math.min(1, config.scrollDepth);
+  return config;
+}
+
+/**
+ * What has been stored about a popup: { visits, dismissedAt, submittedAt,
+ * optedOut }. localStorage can be unavailable (private browsing, blocked
+ * storage); the popup then behaves as on a first visit.
+ */
+function readFeedbackPromptRecord(id) {
+  const record = { visits: 0, dismissedAt: null, submittedAt: null, optedOut: false };
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(FEEDBACK_PROMPT_STORAGE_PREFIX + id));
+    if (stored && typeof stored === 'object') Object.assign(record, stored);
+  } catch (error) {
+    // Unreadable or unavailable: use the empty record.
+  }
+  return record;
+}
+
+function writeFeedbackPromptRecord(id, record) {
+  try {
+    window.localStorage.setItem(FEEDBACK_PROMPT_STORAGE_PREFIX + id, JSON.stringify(record));
+  } catch (error) {
+    // The choice still applies to this page view.
+  }
+}
+
+/**
+ * Count this visit (once per browser session) and return the updated record.
+ */
+function countFeedbackPromptVisit(id) {
+  const record = readFeedbackPromptRecord(id);
+  const sessionKey = `${FEEDBACK_PROMPT_STORAGE_PREFIX}${id}:counted`;
+  try {
+    if (window.sessionStorage.getItem(sessionKey)) return record;
+    window.sessionStorage.setItem(sessionKey, 'true');
+  } catch (error) {
+    // Without sessionStorage every page view counts as a visit.
+  }
+  record.visits += 1;
+  writeFeedbackPromptRecord(id, record);
+  return record;
+}
+
+/**
+ * Whether the popup may be shown, given its record and config: not turned
+ * off, enough visits, and past both cooldowns. `now` is a timestamp in ms.
+ */
+function isFeedbackPromptDue(record, config, now = Date.now()) {
+  if (record.optedOut || record.visits < config.minVisits) return false;
+  const cooledDown = (timestamp, days) => !timestamp || now - timestamp >= days * FEEDBACK_PROMPT_DAY_MS;
+  return cooledDown(record.dismissedAt, config.dismissCooldownDays) &&
+    cooledDown(record.submittedAt, config.submitCooldownDays);
+}
+
+/**
+ * Start the popup's triggers; `show()` is called when the first one fires.
+ * Returns a function that stops them all.
+ */
+function watchFeedbackPromptTriggers(config, show) {
+  const cleanups = [];
+  let fired = false;
+  const fire = () => {
+    if (fired) return;
+    fired = true;
+    stop();
+    show();
+  };
+  const stop = () => cleanups.splice(0).forEach(cleanup => cleanup());
+
+  if (config.triggers.includes('time')) {
+    // Only count time while the page is visible.
+    let remaining = config.delay;
+    let startedAt = 0;
+    let timer = null;
+    const run = () => {
+      if (document.visibilityState === 'hidden') {
+        if (timer === null) return;
+        clearTimeout(timer);
+        timer = null;
+        remaining -= Date.now() - startedAt;
+      } else if (timer === null) {
+        startedAt = Date.now();
+        timer = setTimeout(fire, Math.max(0, remaining));
+      }
+    };
+    document.addEventListener('visibilitychange', run);
+    run();
+    cleanups.push(() => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', run);
     });
-});
\ No newline at end of file
+  }
+
+  if (config.triggers.includes('scroll')) {
+    const onScroll = () => {
+      const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+      if (scrollable > 0 && window.scrollY / scrollable >= config.scrollDepth) fire();
+    };
+    window.addEventListener('scroll', onScroll, { passive: true });
+    cleanups.push(() => window.removeEventListener('scroll', onScroll));
+  }
+
+  if (config.triggers.includes('exit')) {
+    const onMouseOut = event => {
+      if (!event.relatedTarget && event.clientY <= 0) fire();
+    };
+    document.addEventListener('mouseout', onMouseOut);
+    cleanups.push(() => document.removeEventListener('mouseout', onMouseOut));
+  }
+
+  if (config.triggers.includes('visits')) fire();
+
+  return stop;
+}
+
+/**
+ * Set up the popup element as a dialog and schedule it. Returns
+ * { show, close, isOpen, destroy }; close(reason) records 'dismissed',
+ * 'submitted' or 'never'.
+ */
+function createFeedbackPrompt(popup, config = readFeedbackPromptConfig(popup)) {
+  const id = popup.id || 'feedback';
+  const content = popup.querySelector('.popup-content') || popup;
+  const heading = content.querySelector('h1, h2, h3');
+  let open = false;
+  let returnFocusTo = null;
+
+  popup.setAttribute('role', 'dialog');
+  popup.setAttribute('aria-modal', 'true');
+  if (heading) {
+    if (!heading.id) heading.id = `${id}-title`;
+    popup.setAttribute('aria-labelledby', heading.id);
+  } else if (!popup.hasAttribute('aria-label')) {
+    popup.setAttribute('aria-label', 'Feedback');
+  }
+
+  // The close "button" may be a plain span; make it reachable by keyboard.
+  const closeButton = popup.querySelector('.close-button');
+  if (closeButton && closeButton.tagName !== 'BUTTON') {
+    closeButton.setAttribute('role', 'button');
+    closeButton.tabIndex = 0;
+    if (!closeButton.hasAttribute('aria-label')) closeButton.setAttribute('aria-label', 'Close');
+  }
+
+  function focusableElements() {
+    return Array.from(content.querySelectorAll('a[href], button, input, select, textarea, [tabindex]'))
+      .filter(element => !element.disabled && element.tabIndex >= 0 && !element.closest('[hidden]'));
+  }
+
+  function show() {
+    if (open) return;
+    open = true;
+    returnFocusTo = document.activeElement !== document.body ? document.activeElement : null;
+    popup.style.display = 'block';
+    const [first] = focusableElements();
+    if (first) first.focus();
+  }
+
+  /**
+   * Hide the popup and remember why: 'dismissed' (default), 'submitted' or
+   * 'never'.
+   */
+  function close(reason = 'dismissed') {
+    if (!open) return;
+    open = false;
+    popup.style.display = 'none';
+
+    const record = readFeedbackPromptRecord(id);
+    if (reason === 'submitted') record.submittedAt = Date.now();
+    else if (reason === 'never') record.optedOut = true;
+    else record.dismissedAt = Date.now();
+    writeFeedbackPromptRecord(id, record);
+
+    const focusTarget = returnFocusTo;
+    returnFocusTo = null;
+    if (focusTarget && document.contains(focusTarget) && typeof focusTarget.focus === 'function') focusTarget.focus();
+  }
+
+  function onClick(event) {
+    // Clicking outside the popup content closes it.
+    if (event.target === popup) {
+      close('dismissed');
+      return;
+    }
+    const target = event.target.closest('.close-button, .form-link, [data-popup-action]');
+    if (!target || !popup.contains(target)) return;
+
+    const action = target.getAttribute('data-popup-action') ||
+      (target.classList.contains('form-link') ? 'submit' : 'dismiss');
+    if (action === 'submit') {
+      // Let the link open its new tab before the popup goes away.
+      setTimeout(() => close('submitted'), 100);
+    } else {
+      close(action === 'never' ? 'never' : 'dismissed');
+    }
+  }
+
+  function onKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close('dismissed');
+    } else if ((event.key === 'Enter' || event.key === ' ') && event.target === closeButton && closeButton.tagName !== 'BUTTON') {
+      event.preventDefault();
+      close('dismissed');
+    } else if (event.key === 'Tab') {
+      // Keep Tab inside the popup.
+      const focusable = focusableElements();
+      if (!focusable.length) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+  }
+
+  popup.addEventListener('click', onClick);
+  popup.addEventListener('keydown', onKeyDown);
+
+  const record = countFeedbackPromptVisit(id);
+  const stopTriggers = isFeedbackPromptDue(record, config) ? watchFeedbackPromptTriggers(config, show) : () => {};
+
+  function destroy() {
+    stopTriggers();
+    popup.removeEventListener('click', onClick);
+    popup.removeEventListener('keydown', onKeyDown);
+  }
+
+  return { show, close, isOpen: () => open, destroy };
+}
+
+// Schedule every feedback popup on the page.
+document.addEventListener('DOMContentLoaded', function () {
+  document.querySelectorAll('.popup').forEach(popup => createFeedbackPrompt(popup));
+});
@@ -0,0 +1,311 @@
+/**
+ * This script handles the calendar side of the resource tiles: the optional
+ * `start`, `end` and `schedule` fields of the listing YAML.
+ *
+ * Used on the filter/search page. Date helpers come from Code/tile_dates.js
+ * and the listing records and download helpers from Code/resource_export.js,
+ * both loaded first.
+ *
+ * It includes the following features:
+ *    1. iCalendar (.ics) files: one event per dated resource, all-day or at
+ *       its scheduled time (Eastern time), repeating on its weekdays until
+ *       `end`, with the description, link and location.
+ *    2. An "Add to calendar" button on each dated tile that downloads its
+ *       event. The export menu's iCalendar option uses the same builder for
+ *       every matching resource.
+ *    3. The "Available this semester" filter: tiles available in what is left
+ *       of the current semester carry `data-facet-availability="This semester"`,
+ *       so the sidebar's "Availability" group works like any other facet.
+ *       Dated tiles are checked against their dates; the others against their
+ *       values for the listing's semester facet (the current semester, or
+ *       "Asynchronous").
+ *    4. Readable dates and schedules ("Sep 2 – Dec 9, 2026", "Mon, Wed ·
+ *       1:00 PM – 2:15 PM · LEPH 101") for the timeline view.
+ *
+ * Usage:
+ *    const calendar = createResourceCalendar({
+ *      tiles: document.querySelectorAll('#tilesContainer .tile'),
+ *      records,                                            // from readResourceExportData()
+ *      engine,                                             // optional filter engine
+ *      controls: document.getElementById('facetFilter-availability'),
+ *      semesterFacet: 'categories4'                        // key of the facet marked `semesters: true`
+ *    });
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const RESOURCE_CALENDAR_FACET = 'availability';
+const RESOURCE_CALENDAR_VALUE = 'This semester';
+// Semester facet values, besides the TILE_SEMESTERS names, for resources without a fixed term.
+const RESOURCE_SEMESTER_ANY_TIME = 'Asynchronous';
+const RESOURCE_SEMESTER_VARIES = 'Varies';
+const RESOURCE_CALENDAR_TIME_ZONE = 'America/New_York';
+const RESOURCE_CALENDAR_UID_DOMAIN = 'yale-ai-resources';
+const RESOURCE_CALENDAR_DAYS = { Sun: 'SU', Mon: 'MO', Tue: 'TU', Wed: 'WE', Thu: 'TH', Fri: 'FR', Sat: 'SA' };
+
+// US Eastern time, so timed events stay at their local time in any calendar app.
+const RESOURCE_CALENDAR_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${RESOURCE_CALENDAR_TIME_ZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+/**
+ * A record's event dates and schedule: { start, end, days, from, to,
+ * location } with `start`/`end` as local dates, `days` as weekday names and
+ * `from`/`to` as "HH:MM" (empty for all-day events). Null without a valid start.
+ */
+function readResourceEvent(record) {
+  const start = parseLocalDate(record.start);
+  if (!start) return null;
+  const end = parseLocalDate(record.end);
+  const schedule = record.schedule && typeof record.schedule === 'object' ? record.schedule : {};
+  const time = /^(\d{2}:\d{2})-(\d{2}:\d{2})$/.exec(String(schedule.time || ''));
+  return {
+    start,
+    end: end && end >= start ? end : start,
+    days: (Array.isArray(schedule.days) ? schedule.days : []).filter(day => RESOURCE_CALENDAR_DAYS[day]),
+    from: time ? time[1] : '',
+    to: time ? time[2] : '',
+    location: schedule.location ? String(schedule.location) : ''
+  };
+}
+
+// Escape commas, semicolons, backslashes and newlines in an iCalendar text value.
+function escapeCalendarText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line at 75 octets (continuation lines start with a space), without splitting a character.
+function foldCalendarLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const character of line) {
+    const size = encoder.encode(character).length;
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const formatCalendarDate = date => formatLocalDate(date).replace(/-/g, '');
+const formatCalendarTime = (date, time) => `${formatCalendarDate(date)}T${time.replace(':', '')}00`;
+
+// The first day on or after `start` that falls on one of `days`.
+function firstScheduledDay(start, days) {
+  const codes = days.map(day => RESOURCE_CALENDAR_DAYS[day]);
+  const date = new Date(start);
+  for (let step = 0; step < 7; step++) {
+    if (codes.includes(Object.values(RESOURCE_CALENDAR_DAYS)[date.getDay()])) return date;
+    date.setDate(date.getDate() + 1);
+  }
+  return new Date(start);
+}
+
+/**
+ * The VEVENT lines for one record, or null when it has no dates.
+ */
+function buildResourceEventLines(record, stamp) {
+  const event = readResourceEvent(record);
+  if (!event) return null;
+
+  const weekly = event.days.length > 0;
+  const first = weekly ? firstScheduledDay(event.start, event.days) : event.start;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${record.id}@${RESOURCE_CALENDAR_UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`
+  ];
+
+  const repeats = weekly || event.end > event.start;
+  if (event.from) {
+    lines.push(`DTSTART;TZID=${RESOURCE_CALENDAR_TIME_ZONE}:${formatCalendarTime(first, event.from)}`);
+    lines.push(`DTEND;TZID=${RESOURCE_CALENDAR_TIME_ZONE}:${formatCalendarTime(first, event.to > event.from ? event.to : event.from)}`);
+    if (repeats) {
+      // UNTIL must be in UTC for a zoned start; 03:59:59Z the next day is still the end day in Eastern time.
+      const until = new Date(event.end);
+      until.setDate(until.getDate() + 1);
+      lines.push(`RRULE:FREQ=${weekly ? 'WEEKLY' : 'DAILY'};UNTIL=${formatCalendarDate(until)}T035959Z` +
+        (weekly ? `;BYDAY=${event.days.map(day => RESOURCE_CALENDAR_DAYS[day]).join(',')}` : ''));
+    }
+  } else {
+    // All-day: DTEND is the day after the last day. Weekly events repeat a one-day entry instead.
+    const after = new Date(weekly ? first : event.end);
+    after.setDate(after.getDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${formatCalendarDate(first)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatCalendarDate(after)}`);
+    if (weekly) {
+      lines.push(`RRULE:FREQ=WEEKLY;UNTIL=${formatCalendarDate(event.end)};BYDAY=${event.days.map(day => RESOURCE_CALENDAR_DAYS[day]).join(',')}`);
+    }
+  }
+
+  const link = resourceExportLink(record);
+  lines.push(`SUMMARY:${escapeCalendarText(record.title || record.id)}`);
+  const description = [String(record.description || '').trim(), link].filter(Boolean).join('\n\n');
+  if (description) lines.push(`DESCRIPTION:${escapeCalendarText(description)}`);
+  if (link) lines.push(`URL:${link}`);
+  if (event.location) lines.push(`LOCATION:${escapeCalendarText(event.location)}`);
+  lines.push('END:VEVENT');
+  return { lines, timed: Boolean(event.from) };
+}
+
+/**
+ * An iCalendar file with an event for each record that has a `start` date.
+ * Returns { text, count }.
+ */
+function buildResourcesCalendar(records) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const events = records.map(record => buildResourceEventLines(record, stamp)).filter(Boolean);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Yale School of Public Health//AI Educational Resources//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (events.some(event => event.timed)) lines.push(...RESOURCE_CALENDAR_VTIMEZONE);
+  events.forEach(event => lines.push(...event.lines));
+  lines.push('END:VCALENDAR');
+
+  return { text: lines.map(foldCalendarLine).join('\r\n') + '\r\n', count: events.length };
+}
+
+/**
+ * A record's dates for display: "Oct 30, 2026" or "Sep 2 – Dec 9, 2026".
+ * Empty when it has none.
+ */
+function formatResourceDates(record) {
+  const event = readResourceEvent(record);
+  if (!event) return '';
+  const long = { year: 'numeric', month: 'short', day: 'numeric' };
+  if (event.end.getTime() === event.start.getTime()) return event.start.toLocaleDateString(undefined, long);
+  const sameYear = event.start.getFullYear() === event.end.getFullYear();
+  const from = event.start.toLocaleDateString(undefined, sameYear ? { month: 'short', day: 'numeric' } : long);
+  return `${from} – ${event.end.toLocaleDateString(undefined, long)}`;
+}
+
+/**
+ * A record's schedule for display: "Mon, Wed · 1:00 PM – 2:15 PM · LEPH 101".
+ * Empty when it has none.
+ */
+function describeResourceSchedule(record) {
+  const event = readResourceEvent(record);
+  if (!event) return '';
+  const clock = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  };
+  return [
+    event.days.join(', '),
+    event.from ? `${clock(event.from)} – ${clock(event.to)}` : '',
+    event.location
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * A record's values for the semester facet (`semesterFacet` is its key).
+ */
+function readResourceSemesters(record, semesterFacet) {
+  const values = semesterFacet ? record[semesterFacet] : null;
+  return Array.isArray(values) ? values : [];
+}
+
+/**
+ * Whether a record is available in what is left of `semester` (from
+ * semesterOfDate()): its dates reach past `today` into the semester, or,
+ * without dates, its semester facet values include the semester or
+ * "Asynchronous".
+ */
+function isResourceAvailable(record, semester, semesterFacet, today = localToday()) {
+  const event = readResourceEvent(record);
+  if (event) {
+    const from = today > semester.from ? today : semester.from;
+    return event.start <= semester.to && event.end >= from;
+  }
+  const semesters = readResourceSemesters(record, semesterFacet);
+  return semesters.includes(semester.name) || semesters.includes(RESOURCE_SEMESTER_ANY_TIME);
+}
+
+/**
+ * Mark the tiles available this semester and wire up the "Add to calendar"
+ * buttons. Returns { semester, isAvailable(id), downloadEvent(id) }.
+ */
+function createResourceCalendar(config) {
+  const tiles = Array.from(config.tiles);
+  const records = config.records;
+  const engine = config.engine || null;
+  const controls = config.controls || null;
+  const semesterFacet = config.semesterFacet || null;
+  const semester = semesterOfDate(localToday());
+  const available = new Set();
+
+  records.forEach((record, id) => {
+    if (isResourceAvailable(record, semester, semesterFacet)) available.add(id);
+  });
+
+  /**
+   * Download the calendar event of the resource with stable id `id`.
+   * Returns whether it had dates to download.
+   */
+  function downloadEvent(id) {
+    const record = records.get(id);
+    const result = record ? buildResourcesCalendar([record]) : { count: 0 };
+    if (!result.count) return false;
+    downloadTextFile(result.text, `${id}.ics`, 'text/calendar');
+    return true;
+  }
+
+  tiles.forEach(tile => {
+    const id = tile.getAttribute('data-slug');
+    tile.setAttribute(`data-facet-${RESOURCE_CALENDAR_FACET}`, available.has(id) ? encodeURIComponent(RESOURCE_CALENDAR_VALUE) : '');
+
+    // The tile itself opens the detail drawer, which ignores clicks on buttons.
+    const button = tile.querySelector('.tile-calendar');
+    if (!button) return;
+    button.addEventListener('click', function (event) {
+      event.stopPropagation();
+      downloadEvent(id);
+    });
+  });
+
+  if (controls) {
+    controls.querySelectorAll('.resource-semester-label').forEach(label => {
+      label.textContent = semester.label;
+    });
+  }
+  if (engine) engine.refreshTiles();
+
+  return {
+    semester,
+    isAvailable: id => available.has(id),
+    downloadEvent
+  };
+}
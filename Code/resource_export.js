@@ -0,0 +1,293 @@
+/**
+ * This script handles exporting the resources currently shown on the
+ * filter/search page: exactly the tiles matching the filters and search, in
+ * the current sort order (including tiles not yet revealed by "Show More").
+ *
+ * Used on the filter/search page.
+ *
+ * It includes the following features:
+ *    1. An "Export" menu button next to the result count, disabled while no
+ *       resource matches. The menu closes on Escape, on a choice, or on a
+ *       click outside it.
+ *    2. CSV and JSON with every listing field of each resource (its own
+ *       fields plus the facet values it inherits from its item group). In the
+ *       CSV, list fields are joined with "; " and instructors are written as
+ *       "Name <link>".
+ *    3. Markdown: a bulleted list of linked titles with their topic and
+ *       instructors, ready to paste into a syllabus.
+ *    4. BibTeX: one `@misc` entry per resource with an `article` or `site`
+ *       link; the others are skipped, and the status line says how many.
+ *    5. iCalendar (.ics) with an event for every resource that has dates,
+ *       built by buildResourcesCalendar() in Code/resource_calendar.js.
+ *
+ * The listing fields come from the JSON block the template renders
+ * (`<script type="application/json" id="resourceExportData">`), one record
+ * per tile, keyed by the tile's `data-slug`; readResourceExportData() reads
+ * it for this menu, the calendar and the timeline.
+ *
+ * Usage:
+ *    const records = readResourceExportData(document.getElementById('resourceExportData'));
+ *    createResourceExport({ engine, records, menu: document.getElementById('resourceExport') });
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+// Columns that lead the CSV, in this order; any other field (e.g. the facets) follows.
+const RESOURCE_EXPORT_FIELDS = [
+  'id', 'title', 'description', 'topic', 'instructors', 'date-added', 'date-updated',
+  'start', 'end', 'schedule', 'ranking', 'color', 'site', 'group', 'course_site', 'github', 'article', 'info', 'seed'
+];
+const RESOURCE_EXPORT_FILENAME = 'yale-ai-resources';
+
+/**
+ * The listing records in the template's JSON block, as a Map of tile id ->
+ * record. Empty (with a console error) when the block cannot be read.
+ */
+function readResourceExportData(element) {
+  try {
+    const data = JSON.parse(element.textContent);
+    return new Map(data.map(record => [record.id, record]));
+  } catch (error) {
+    console.error('Resource export data could not be read', error);
+    return new Map();
+  }
+}
+
+/**
+ * A download file name with today's date: "yale-ai-resources-2026-10-19.csv".
+ */
+function resourceExportFilename(extension, name = RESOURCE_EXPORT_FILENAME) {
+  return `${name}-${formatLocalDate(new Date())}.${extension}`;
+}
+
+/**
+ * Download `text` as a file.
+ */
+function downloadTextFile(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas.
+const RESOURCE_EXPORT_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+// Listing fields as one line of text (lists joined with "; ", a schedule as "days: Mon Wed, time: ...").
+function formatResourceExportValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(formatResourceExportValue).filter(Boolean).join('; ');
+  if (typeof value === 'object') {
+    if (value.href) return `${value.text || ''} <${value.href}>`.trim();
+    if ('text' in value) return String(value.text || '');
+    return Object.keys(value)
+      .map(key => `${key}: ${Array.isArray(value[key]) ? value[key].join(' ') : formatResourceExportValue(value[key])}`)
+      .join(', ');
+  }
+  return String(value);
+}
+
+function escapeCsvCell(value) {
+  let text = formatResourceExportValue(value);
+  if (RESOURCE_EXPORT_FORMULA_PATTERN.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of `records` (with a byte-order mark so spreadsheet apps read it as
+ * UTF-8). Every field any record has gets a column.
+ */
+function buildResourcesCsv(records) {
+  const columns = RESOURCE_EXPORT_FIELDS.slice();
+  records.forEach(record => {
+    Object.keys(record).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+  const used = columns.filter(column => records.some(record => record[column] !== undefined));
+
+  const lines = [used.map(escapeCsvCell).join(',')];
+  records.forEach(record => {
+    lines.push(used.map(column => escapeCsvCell(record[column])).join(','));
+  });
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function buildResourcesJson(records) {
+  return JSON.stringify(records, null, 2) + '\n';
+}
+
+// The link a resource is best known by, made absolute (internal `info` pages are relative).
+function resourceExportLink(record, fields = ['site', 'course_site', 'article', 'group', 'github', 'info']) {
+  const field = fields.find(name => record[name]);
+  if (!field) return '';
+  try {
+    return new URL(record[field], window.location.href).toString();
+  } catch (error) {
+    return String(record[field]);
+  }
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+/**
+ * A Markdown bulleted list: "- [Title](link) — Topic (Instructor, ...)".
+ */
+function buildResourcesMarkdown(records) {
+  return records.map(record => {
+    const link = resourceExportLink(record);
+    const title = escapeMarkdown(record.title || record.id);
+    let line = link ? `- [${title}](<${link}>)` : `- ${title}`;
+    if (record.topic) line += ` — ${escapeMarkdown(record.topic)}`;
+    const instructors = (record.instructors || []).map(instructor => instructor.text).filter(Boolean);
+    if (instructors.length) line += ` (${escapeMarkdown(instructors.join(', '))})`;
+    return line;
+  }).join('\n') + '\n';
+}
+
+// Escape LaTeX special characters in a BibTeX field value.
+function escapeBibtex(text) {
+  return String(text).replace(/[\\{}&%$#_~^]/g, character => ({
+    '\\': '\\textbackslash{}',
+    '~': '\\textasciitilde{}',
+    '^': '\\textasciicircum{}'
+  })[character] || `\\${character}`);
+}
+
+/**
+ * BibTeX `@misc` entries for the records with an `article` or `site` link.
+ * Returns { text, count }.
+ */
+function buildResourcesBibtex(records) {
+  const keys = new Set();
+  const entries = records
+    .filter(record => record.article || record.site)
+    .map(record => {
+      const baseKey = String(record.id || record.title || 'resource').replace(/[^A-Za-z0-9_:-]/g, '') || 'resource';
+      let key = baseKey;
+      for (let suffix = 2; keys.has(key); suffix++) key = `${baseKey}-${suffix}`;
+      keys.add(key);
+
+      const url = resourceExportLink(record, ['article', 'site']);
+      const date = record['date-updated'] || record['date-added'] || '';
+      const fields = [
+        ['title', `{${escapeBibtex(record.title || record.id)}}`],
+        ['author', (record.instructors || []).map(instructor => escapeBibtex(instructor.text)).filter(Boolean).join(' and ')],
+        ['howpublished', `\\url{${url}}`],
+        ['url', url],
+        ['year', /^\d{4}/.test(date) ? date.slice(0, 4) : ''],
+        ['note', record.topic ? escapeBibtex(record.topic) : '']
+      ].filter(([, value]) => value);
+
+      return `@misc{${key},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}`;
+    });
+  return { text: entries.join('\n\n') + (entries.length ? '\n' : ''), count: entries.length };
+}
+
+// Export formats, in menu order. Formats that skip some resources say why in `skipped`.
+const RESOURCE_EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv', build: records => ({ text: buildResourcesCsv(records), count: records.length }) },
+  json: { label: 'JSON', extension: 'json', type: 'application/json', build: records => ({ text: buildResourcesJson(records), count: records.length }) },
+  markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown', build: records => ({ text: buildResourcesMarkdown(records), count: records.length }) },
+  bibtex: { label: 'BibTeX', extension: 'bib', type: 'application/x-bibtex', build: buildResourcesBibtex, skipped: 'an article or site link' },
+  ics: { label: 'iCalendar', extension: 'ics', type: 'text/calendar', build: records => buildResourcesCalendar(records), skipped: 'dates' }
+};
+
+/**
+ * Wire up the export menu. Returns { exportAs(format), getRecords }.
+ */
+function createResourceExport(config) {
+  const engine = config.engine;
+  const menu = config.menu;
+  const toggle = menu.querySelector('.resource-export-toggle');
+  const list = menu.querySelector('.resource-export-options');
+  const status = menu.querySelector('.resource-export-status');
+  const recordsById = config.records;
+
+  /**
+   * The listing records of the matching tiles, in the current order.
+   */
+  function getRecords() {
+    return engine.getMatchingTiles()
+      .map(tile => recordsById.get(tile.getAttribute('data-slug')))
+      .filter(Boolean);
+  }
+
+  function setOpen(open) {
+    list.hidden = !open;
+    toggle.setAttribute('aria-expanded', String(open));
+  }
+
+  /**
+   * Download the matching resources in `format` (a RESOURCE_EXPORT_FORMATS
+   * key) and report what was exported.
+   */
+  function exportAs(format) {
+    const spec = RESOURCE_EXPORT_FORMATS[format];
+    const records = getRecords();
+    if (!spec || !records.length) return;
+
+    const result = spec.build(records);
+    const noun = count => (count === 1 ? '1 resource' : `${count} resources`);
+    if (!result.count) {
+      status.textContent = `None of the ${noun(records.length)} has ${spec.skipped} for ${spec.label}.`;
+      return;
+    }
+
+    downloadTextFile(result.text, resourceExportFilename(spec.extension), spec.type);
+
+    const skipped = records.length - result.count;
+    status.textContent = `Exported ${noun(result.count)} as ${spec.label}` +
+      (skipped ? ` (${skipped} without ${spec.skipped} skipped).` : '.');
+  }
+
+  toggle.addEventListener('click', function () {
+    const open = list.hidden;
+    setOpen(open);
+    if (open) list.querySelector('button').focus();
+  });
+
+  list.addEventListener('click', function (event) {
+    const option = event.target.closest('[data-export-format]');
+    if (!option) return;
+    setOpen(false);
+    toggle.focus();
+    exportAs(option.getAttribute('data-export-format'));
+  });
+
+  // Escape closes the menu; arrow keys move between its options.
+  menu.addEventListener('keydown', function (event) {
+    if (list.hidden) return;
+    const options = Array.from(list.querySelectorAll('button'));
+    const index = options.indexOf(document.activeElement);
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      setOpen(false);
+      toggle.focus();
+    } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      const next = index === -1 ? (step === 1 ? 0 : options.length - 1) : (index + step + options.length) % options.length;
+      options[next].focus();
+    }
+  });
+
+  document.addEventListener('click', function (event) {
+    if (!list.hidden && !menu.contains(event.target)) setOpen(false);
+  });
+
+  // Nothing to export while no resource matches.
+  engine.onChange(function (state, info) {
+    toggle.disabled = info.matchingTiles.length === 0;
+    if (toggle.disabled) setOpen(false);
+  });
+
+  return { exportAs, getRecords };
+}
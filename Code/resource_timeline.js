@@ -0,0 +1,249 @@
+/**
+ * This script handles the timeline view of the filter/search page: the
+ * matching resources grouped by semester and date, as an alternative to the
+ * tile grid.
+ *
+ * Used on the filter/search page. Semester and date helpers come from
+ * Code/tile_dates.js and Code/resource_calendar.js, loaded first.
+ *
+ * It includes the following features:
+ *    1. A Grid / Timeline switch next to the result count. The choice is kept
+ *       in the URL (`?view=timeline`), so a timeline can be shared. Each
+ *       switch adds a history entry, so the browser's back and forward
+ *       buttons step between the views.
+ *    2. Every resource matching the filters and search (not only those
+ *       revealed by "Show More"), grouped as:
+ *         - dated resources (`start`) by the semester they start in, in date
+ *           order, with the current semester marked and past ones dimmed;
+ *         - then the others by their values for the listing's semester facet
+ *           ("Every Fall", ...),
+ *           starting from the current semester, then "Any time
+ *           (asynchronous)", "Varies" and "Other".
+ *    3. Each entry shows its dates and schedule, topic and an "Add to
+ *       calendar" button when it has dates; its title opens the detail drawer.
+ *
+ * Usage:
+ *    const timeline = createResourceTimeline({
+ *      engine,
+ *      records,                                            // from readResourceExportData()
+ *      calendar,                                           // from createResourceCalendar()
+ *      semesterFacet: 'categories4',                       // key of the facet marked `semesters: true`
+ *      container: document.getElementById('resourceTimeline'),
+ *      switcher: document.getElementById('resourceViewSwitch'),
+ *      onSelect: (tile, button) => drawer.open(tile, { returnFocusTo: button })
+ *    });
+ *    timeline.syncWithUrl(); // on load and on popstate
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const RESOURCE_TIMELINE_PARAM = 'view';
+const RESOURCE_TIMELINE_VIEWS = ['grid', 'timeline'];
+
+/**
+ * The view named in the URL ('grid' when none, or an unknown one, is).
+ */
+function readResourceView() {
+  const view = new URLSearchParams(window.location.search).get(RESOURCE_TIMELINE_PARAM);
+  return RESOURCE_TIMELINE_VIEWS.includes(view) ? view : 'grid';
+}
+
+/**
+ * The URL of the current page showing `view`. The grid is the default, so it
+ * leaves the parameter out. Other parameters, such as the filters, are kept.
+ */
+function buildResourceViewUrl(view) {
+  const url = new URL(window.location.href);
+  if (view === 'grid') {
+    url.searchParams.delete(RESOURCE_TIMELINE_PARAM);
+  } else {
+    url.searchParams.set(RESOURCE_TIMELINE_PARAM, view);
+  }
+  return url.toString();
+}
+
+/**
+ * Group `entries` ({ tile, record } in display order) for the timeline, using
+ * the values of the facet keyed `semesterFacet` for undated ones.
+ * Returns [{ key, label, current, past, entries }] in timeline order.
+ */
+function groupResourceTimeline(entries, semesterFacet, today = localToday()) {
+  const current = semesterOfDate(today);
+  const dated = new Map();
+  const recurring = new Map(TILE_SEMESTERS.map(semester => [semester.name, []]));
+  const asynchronous = [];
+  const varies = [];
+  const other = [];
+
+  entries.forEach(entry => {
+    const event = readResourceEvent(entry.record);
+    if (event) {
+      const semester = semesterOfDate(event.start);
+      if (!dated.has(semester.label)) dated.set(semester.label, { semester, entries: [] });
+      dated.get(semester.label).entries.push({ ...entry, event });
+      return;
+    }
+
+    let placed = false;
+    readResourceSemesters(entry.record, semesterFacet).forEach(value => {
+      const target = recurring.get(value) ||
+        (value === RESOURCE_SEMESTER_ANY_TIME ? asynchronous : value === RESOURCE_SEMESTER_VARIES ? varies : null);
+      if (!target) return;
+      target.push(entry);
+      placed = true;
+    });
+    if (!placed) other.push(entry);
+  });
+
+  // Dated groups in calendar order; entries by start day, then start time.
+  const groups = Array.from(dated.values())
+    .sort((a, b) => a.semester.from - b.semester.from)
+    .map(group => ({
+      key: group.semester.label,
+      label: group.semester.label,
+      current: group.semester.label === current.label,
+      past: group.semester.to < today,
+      entries: group.entries.sort((a, b) => (a.event.start - b.event.start) || a.event.from.localeCompare(b.event.from))
+    }));
+
+  // Recurring semesters, starting from the current one.
+  const names = TILE_SEMESTERS.map(semester => semester.name);
+  const offset = names.indexOf(current.name);
+  names.slice(offset).concat(names.slice(0, offset)).forEach(name => {
+    groups.push({ key: `every-${name}`, label: `Every ${name}`, current: name === current.name, past: false, entries: recurring.get(name) });
+  });
+
+  groups.push(
+    { key: 'asynchronous', label: 'Any time (asynchronous)', current: false, past: false, entries: asynchronous },
+    { key: 'varies', label: RESOURCE_SEMESTER_VARIES, current: false, past: false, entries: varies },
+    { key: 'other', label: 'Other', current: false, past: false, entries: other }
+  );
+  return groups.filter(group => group.entries.length);
+}
+
+/**
+ * Wire up the view switch and the timeline. Returns { setView, getView,
+ * render, syncWithUrl }.
+ */
+function createResourceTimeline(config) {
+  const engine = config.engine;
+  const records = config.records;
+  const calendar = config.calendar || null;
+  const semesterFacet = config.semesterFacet || null;
+  const container = config.container;
+  const switcher = config.switcher;
+  const onSelect = config.onSelect || function () {};
+  const main = container.closest('.main-content') || container.parentNode;
+
+  let view = 'grid';
+
+  function createText(tagName, className, text) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  function createEntry(entry) {
+    const item = document.createElement('li');
+    item.className = 'resource-timeline-entry';
+    item.style.setProperty('--tile-color', entry.tile.getAttribute('data-color') || '');
+
+    const when = [formatResourceDates(entry.record), describeResourceSchedule(entry.record)].filter(Boolean).join(' · ');
+    if (when) item.appendChild(createText('p', 'resource-timeline-when', when));
+
+    const title = createText('button', 'resource-timeline-title', entry.record.title || entry.tile.getAttribute('data-title') || '');
+    title.type = 'button';
+    title.setAttribute('aria-haspopup', 'dialog');
+    title.addEventListener('click', function () {
+      onSelect(entry.tile, title);
+    });
+    item.appendChild(title);
+
+    if (entry.record.topic) item.appendChild(createText('p', 'resource-timeline-topic', entry.record.topic));
+
+    if (calendar && entry.event) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-outline-secondary btn-sm resource-timeline-calendar';
+      button.setAttribute('aria-label', `Add ${entry.record.title} to calendar`);
+      button.innerHTML = '<i class="bi bi-calendar-plus" aria-hidden="true"></i> Add to calendar';
+      button.addEventListener('click', function () {
+        calendar.downloadEvent(entry.record.id);
+      });
+      item.appendChild(button);
+    }
+    return item;
+  }
+
+  /**
+   * Rebuild the timeline from the tiles the engine currently matches.
+   */
+  function render() {
+    if (view !== 'timeline') return;
+    const entries = engine.getMatchingTiles()
+      .map(tile => ({ tile, record: records.get(tile.getAttribute('data-slug')) }))
+      .filter(entry => entry.record);
+
+    const sections = groupResourceTimeline(entries, semesterFacet).map((group, index) => {
+      const section = document.createElement('section');
+      section.className = 'resource-timeline-group';
+      section.classList.toggle('is-current', group.current);
+      section.classList.toggle('is-past', group.past);
+      section.setAttribute('aria-labelledby', `resourceTimelineGroup${index}`);
+
+      const heading = createText('h3', 'resource-timeline-heading', group.label);
+      heading.id = `resourceTimelineGroup${index}`;
+      if (group.current) heading.appendChild(createText('span', 'resource-timeline-badge', 'This semester'));
+      section.appendChild(heading);
+
+      const list = document.createElement('ol');
+      list.className = 'resource-timeline-list';
+      group.entries.forEach(entry => list.appendChild(createEntry(entry)));
+      section.appendChild(list);
+      return section;
+    });
+    container.replaceChildren(...sections);
+  }
+
+  /**
+   * Show `view` ('grid' or 'timeline'). Options: updateUrl (default true).
+   */
+  function setView(next, options = {}) {
+    view = RESOURCE_TIMELINE_VIEWS.includes(next) ? next : 'grid';
+    container.hidden = view !== 'timeline';
+    main.classList.toggle('is-timeline-view', view === 'timeline');
+    switcher.querySelectorAll('[data-view]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-view') === view));
+    });
+    render();
+
+    if (options.updateUrl !== false) {
+      const url = buildResourceViewUrl(view);
+      if (url !== window.location.href) history.pushState({ resourceView: true }, '', url);
+    }
+  }
+
+  /**
+   * Show the view named in the URL, without touching history. Call on load
+   * and on popstate.
+   */
+  function syncWithUrl() {
+    setView(readResourceView(), { updateUrl: false });
+  }
+
+  switcher.addEventListener('click', function (event) {
+    const button = event.target.closest('[data-view]');
+    if (button) setView(button.getAttribute('data-view'));
+  });
+
+  engine.onChange(render);
+
+  return {
+    setView,
+    getView: () => view,
+    render,
+    syncWithUrl
+  };
+}
@@ -0,0 +1,268 @@
+/**
+ * This script handles "My resources": a personal list of saved resource
+ * tiles, kept in the visitor's browser.
+ *
+ * Used on the filter/search page. The file download comes from
+ * Code/resource_export.js, loaded first.
+ *
+ * It includes the following features:
+ *    1. A bookmark toggle on each tile (`aria-pressed`) that saves or removes
+ *       the resource.
+ *    2. Persistence in localStorage, keyed by each tile's stable id
+ *       (`data-slug`: the listing's `id`, or the slugified title), so the
+ *       list survives reordering, new tiles and reloads. Saved ids whose tile
+ *       is no longer listed are kept, in case it comes back.
+ *    3. A "Saved" filter: saved tiles carry `data-facet-saved="Saved"`, so the
+ *       sidebar's "My resources" group works like any other facet (counts,
+ *       chips, URL state) once the filter engine re-reads the tiles.
+ *    4. Exporting the list as a JSON file and importing one (merged into the
+ *       current list), so it can be moved to another browser.
+ *    5. Keeping other open tabs of the page in step (`storage` events).
+ *
+ * Usage:
+ *    const saved = createSavedResources({
+ *      tiles: document.querySelectorAll('#tilesContainer .tile'),
+ *      engine,                                           // optional filter engine
+ *      controls: document.getElementById('facetFilter-saved')
+ *    });
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const SAVED_RESOURCES_STORAGE_KEY = 'ai-resources-page:saved-resources';
+const SAVED_RESOURCES_FACET = 'saved';
+const SAVED_RESOURCES_VALUE = 'Saved';
+const SAVED_RESOURCES_EXPORT_TYPE = 'ai-resources-saved-list';
+const SAVED_RESOURCES_EXPORT_VERSION = 1;
+const SAVED_RESOURCES_EXPORT_FILENAME = 'my-resources.json';
+
+// Keep well-formed entries ({ id, title?, savedAt? }) and drop repeated ids.
+function normalizeSavedResources(entries) {
+  const seen = new Set();
+  return (Array.isArray(entries) ? entries : [])
+    .map(entry => (typeof entry === 'string' ? { id: entry } : entry))
+    .filter(entry => entry && typeof entry.id === 'string' && entry.id.trim())
+    .map(entry => ({
+      id: entry.id.trim(),
+      title: typeof entry.title === 'string' ? entry.title : '',
+      savedAt: typeof entry.savedAt === 'string' ? entry.savedAt : ''
+    }))
+    .filter(entry => {
+      if (seen.has(entry.id)) return false;
+      seen.add(entry.id);
+      return true;
+    });
+}
+
+/**
+ * The saved list from localStorage, oldest first. localStorage can be
+ * unavailable (private browsing, blocked storage); the list is then empty.
+ */
+function readSavedResources() {
+  try {
+    return normalizeSavedResources(JSON.parse(window.localStorage.getItem(SAVED_RESOURCES_STORAGE_KEY)));
+  } catch (error) {
+    return [];
+  }
+}
+
+function writeSavedResources(entries) {
+  try {
+    window.localStorage.setItem(SAVED_RESOURCES_STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    // Storage unavailable: the list lasts until the page is left.
+  }
+}
+
+/**
+ * The JSON text of an export file for `entries`.
+ */
+function buildSavedResourcesExport(entries) {
+  return JSON.stringify({
+    type: SAVED_RESOURCES_EXPORT_TYPE,
+    version: SAVED_RESOURCES_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    resources: entries
+  }, null, 2);
+}
+
+/**
+ * The entries in an export file's text. A plain array of ids or entries is
+ * accepted too. Throws an Error with a readable message for anything else.
+ */
+function parseSavedResourcesExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (data && !Array.isArray(data)) {
+    if (data.type !== SAVED_RESOURCES_EXPORT_TYPE || !Array.isArray(data.resources)) {
+      throw new Error('The file is not a saved resources export.');
+    }
+    if (data.version > SAVED_RESOURCES_EXPORT_VERSION) {
+      throw new Error('The file was exported by a newer version of this page.');
+    }
+    data = data.resources;
+  }
+  if (!Array.isArray(data)) throw new Error('The file is not a saved resources export.');
+  return normalizeSavedResources(data);
+}
+
+/**
+ * Wire up the bookmark toggles and the "My resources" controls. Returns
+ * { isSaved, toggle, list, exportList, importText }.
+ */
+function createSavedResources(config) {
+  const tiles = Array.from(config.tiles);
+  const engine = config.engine || null;
+  const controls = config.controls || null;
+  const exportButton = controls && controls.querySelector('.saved-resources-export');
+  const importButton = controls && controls.querySelector('.saved-resources-import');
+  const fileInput = controls && controls.querySelector('.saved-resources-file');
+  const status = controls && controls.querySelector('.saved-resources-status');
+  const tilesById = new Map(tiles.map(tile => [tile.getAttribute('data-slug'), tile]));
+
+  let entries = readSavedResources();
+
+  const isSaved = id => entries.some(entry => entry.id === id);
+
+  // Mark the tiles and their toggles, then let the engine re-read the facet values.
+  function render() {
+    tiles.forEach(tile => {
+      const saved = isSaved(tile.getAttribute('data-slug'));
+      tile.setAttribute(`data-facet-${SAVED_RESOURCES_FACET}`, saved ? SAVED_RESOURCES_VALUE : '');
+      tile.classList.toggle('is-saved', saved);
+
+      const button = tile.querySelector('.tile-save');
+      if (!button) return;
+      const title = tile.getAttribute('data-title') || '';
+      button.setAttribute('aria-pressed', String(saved));
+      button.setAttribute('aria-label', saved ? `Remove ${title} from My resources` : `Save ${title} to My resources`);
+      button.title = saved ? 'Saved to My resources' : 'Save to My resources';
+      const icon = button.querySelector('i');
+      if (icon) icon.className = saved ? 'bi bi-bookmark-fill' : 'bi bi-bookmark';
+    });
+    if (exportButton) exportButton.disabled = entries.length === 0;
+    if (engine) engine.refreshTiles();
+  }
+
+  function setStatus(message) {
+    if (status) status.textContent = message;
+  }
+
+  function update(next) {
+    entries = next;
+    writeSavedResources(entries);
+    render();
+  }
+
+  /**
+   * Save or remove the resource with stable id `id`. Returns whether it is
+   * saved afterwards.
+   */
+  function toggle(id) {
+    if (isSaved(id)) {
+      update(entries.filter(entry => entry.id !== id));
+      return false;
+    }
+    const tile = tilesById.get(id);
+    update(entries.concat({
+      id,
+      title: tile ? tile.getAttribute('data-title') || '' : '',
+      savedAt: new Date().toISOString()
+    }));
+    return true;
+  }
+
+  /**
+   * Download the saved list as a JSON file.
+   */
+  function exportList() {
+    downloadTextFile(buildSavedResourcesExport(entries), SAVED_RESOURCES_EXPORT_FILENAME, 'application/json');
+    setStatus(entries.length === 1 ? 'Exported 1 saved resource.' : `Exported ${entries.length} saved resources.`);
+  }
+
+  /**
+   * Merge the resources in an export file's text into the saved list and
+   * report the result in the status line. Returns the number added.
+   */
+  function importText(text) {
+    let imported;
+    try {
+      imported = parseSavedResourcesExport(text);
+    } catch (error) {
+      setStatus(`Import failed: ${error.message}`);
+      return 0;
+    }
+
+    const added = imported.filter(entry => !isSaved(entry.id));
+    const missing = added.filter(entry => !tilesById.has(entry.id)).length;
+    update(entries.concat(added));
+
+    const parts = [added.length === 1 ? 'Imported 1 resource' : `Imported ${added.length} resources`];
+    const already = imported.length - added.length;
+    if (already) parts.push(`${already} already saved`);
+    if (missing) parts.push(`${missing} no longer listed`);
+    setStatus(parts.length > 1 ? `${parts[0]} (${parts.slice(1).join(', ')}).` : `${parts[0]}.`);
+    return added.length;
+  }
+
+  // Bookmark toggles. The tile itself opens the detail drawer, which ignores clicks on buttons.
+  tiles.forEach(tile => {
+    const button = tile.querySelector('.tile-save');
+    if (!button) return;
+    button.addEventListener('click', function (event) {
+      event.stopPropagation();
+      toggle(tile.getAttribute('data-slug'));
+
+      // Removing a tile under the "Saved" filter hides it; keep focus on the grid.
+      if (tile.classList.contains('hidden')) {
+        const next = tiles.find(other => other !== tile && !other.classList.contains('hidden'));
+        if (next) next.focus();
+      }
+    });
+  });
+
+  if (exportButton) {
+    exportButton.addEventListener('click', exportList);
+  }
+  if (importButton && fileInput) {
+    importButton.addEventListener('click', function () {
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', function () {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.addEventListener('load', function () {
+        importText(String(reader.result));
+      });
+      reader.addEventListener('error', function () {
+        setStatus('Import failed: the file could not be read.');
+      });
+      reader.readAsText(file);
+      fileInput.value = '';
+    });
+  }
+
+  // Another tab saved or removed something.
+  window.addEventListener('storage', function (event) {
+    if (event.key !== SAVED_RESOURCES_STORAGE_KEY) return;
+    entries = readSavedResources();
+    render();
+  });
+
+  render();
+
+  return {
+    isSaved,
+    toggle,
+    list: () => entries.map(entry => ({ ...entry })),
+    exportList,
+    importText
+  };
+}
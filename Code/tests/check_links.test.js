@@ -0,0 +1,127 @@
+/**
+ * Tests for Code/check_links.js, run against a local stub server instead of
+ * the live sites.
+ *
+ * Run from the project root:
+ *    node --test Code/tests/
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { checkLink, checkLinks } = require('../check_links');
+
+// Stub routes: path → handler(request, response).
+const ROUTES = {
+  '/ok': (request, response) => response.writeHead(200).end('ok'),
+  '/moved': (request, response) => response.writeHead(301, { Location: '/moved-again' }).end(),
+  '/moved-again': (request, response) => response.writeHead(302, { Location: '/ok' }).end(),
+  '/missing': (request, response) => response.writeHead(404).end('not found'),
+  '/no-head': (request, response) => response.writeHead(request.method === 'HEAD' ? 405 : 200).end(),
+  '/slow': (request, response) => {
+    const timer = setTimeout(() => response.writeHead(200).end('late'), 2000);
+    response.on('close', () => clearTimeout(timer));
+  }
+};
+
+let server;
+let baseUrl;
+let requests;
+
+// A fetch that records each request's method and path before passing it on.
+function recordingFetch(url, init) {
+  requests.push(`${init.method} ${new URL(url).pathname}`);
+  return fetch(url, init);
+}
+
+const check = (route, options = {}) =>
+  checkLink(`${baseUrl}${route}`, { timeout: 1000, maxRedirects: 10, fetch: recordingFetch, ...options });
+
+test.before(async () => {
+  server = http.createServer((request, response) => {
+    const route = ROUTES[new URL(request.url, 'http://localhost').pathname];
+    if (route) route(request, response);
+    else response.writeHead(404).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.beforeEach(() => {
+  requests = [];
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('a page that answers 200 is ok', async () => {
+  const result = await check('/ok');
+  assert.equal(result.status, 'ok');
+  assert.equal(result.httpStatus, 200);
+  assert.deepEqual(result.redirects, []);
+});
+
+test('a redirect chain is reported hop by hop as "redirect"', async () => {
+  const result = await check('/moved');
+  assert.equal(result.status, 'redirect');
+  assert.equal(result.httpStatus, 200);
+  assert.deepEqual(result.redirects.map(hop => [hop.status, hop.to]), [
+    [301, `${baseUrl}/moved-again`],
+    [302, `${baseUrl}/ok`]
+  ]);
+  assert.equal(result.finalUrl, `${baseUrl}/ok`);
+});
+
+test('too many redirects is a network error', async () => {
+  const result = await check('/moved', { maxRedirects: 1 });
+  assert.equal(result.status, 'network-error');
+  assert.match(result.error, /more than 1 redirects/);
+});
+
+test('a response slower than the timeout is "timeout"', async () => {
+  const result = await check('/slow', { timeout: 100 });
+  assert.equal(result.status, 'timeout');
+  assert.equal(result.httpStatus, null);
+  assert.match(result.error, /no response within 100 ms/);
+});
+
+test('a HEAD refused with 405 is retried with GET', async () => {
+  const result = await check('/no-head');
+  assert.equal(result.status, 'ok');
+  assert.deepEqual(requests, ['HEAD /no-head', 'GET /no-head']);
+});
+
+test('a 404 is a client error', async () => {
+  const result = await check('/missing');
+  assert.equal(result.status, 'client-error');
+  assert.equal(result.httpStatus, 404);
+});
+
+test('only ok results are cached, and cached results are re-used', async () => {
+  const links = ['/ok', '/moved', '/missing'].map(route => ({ url: `${baseUrl}${route}`, sources: [] }));
+  const cache = {};
+  const options = { cache, fetch: recordingFetch, timeout: 1000, now: Date.now() };
+
+  const first = await checkLinks(links, options);
+  assert.deepEqual(first.map(result => result.status), ['ok', 'redirect', 'client-error']);
+  assert.deepEqual(Object.keys(cache), [`${baseUrl}/ok`]);
+
+  requests = [];
+  const [again] = await checkLinks(links.slice(0, 1), options);
+  assert.equal(again.cached, true);
+  assert.deepEqual(requests, []);
+});
+
+test('allowlisted links are skipped without a request', async () => {
+  const [result] = await checkLinks([{ url: `${baseUrl}/missing`, sources: [] }], {
+    fetch: recordingFetch,
+    allowlist: [{ pattern: baseUrl, regex: new RegExp(`^${baseUrl.replace(/[.]/g, '\\.')}`) }]
+  });
+  assert.equal(result.status, 'skipped');
+  assert.deepEqual(requests, []);
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for Code/listing_yaml.js: the YAML features the listing files use,
+ * and the line/column reported for each value and error.
+ *
+ * Run from the project root:
+ *    node --test Code/tests/
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseListingYaml, joinPath } = require('../listing_yaml');
+
+// Listing-style YAML from lines (kept as an array so indentation is visible).
+const yaml = lines => lines.join('\n') + '\n';
+
+test('block mappings and sequences, including "- key:" entries and lists at their key\'s indentation', () => {
+  const { data, errors } = parseListingYaml(yaml([
+    'items:',
+    '- categories1:',
+    '    - "School of Public Health"',
+    '  tiles:',
+    '    - title: "Intro"',
+    '      ranking: 2',
+    '      free: true'
+  ]));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data, {
+    items: [{ categories1: ['School of Public Health'], tiles: [{ title: 'Intro', ranking: 2, free: true }] }]
+  });
+});
+
+test('"|" keeps line breaks and ">" folds them, with clip, strip and keep chomping', () => {
+  const { data, errors } = parseListingYaml(yaml([
+    'literal: |',
+    '  First line',
+    '    indented # not a comment',
+    '',
+    '  Last line',
+    'folded: >',
+    '  One',
+    '  sentence.',
+    'stripped: |-',
+    '  no newline',
+    'kept: |+',
+    '  two newlines',
+    '',
+    'after: done'
+  ]));
+  assert.deepEqual(errors, []);
+  assert.equal(data.literal, 'First line\n  indented # not a comment\n\nLast line\n');
+  assert.equal(data.folded, 'One sentence.\n');
+  assert.equal(data.stripped, 'no newline');
+  assert.equal(data.kept, 'two newlines\n\n');
+  assert.equal(data.after, 'done');
+});
+
+test('flow lists with plain and quoted entries', () => {
+  const { data, errors } = parseListingYaml(yaml([
+    'days: [Mon, Wed]',
+    'mixed: ["a, b", \'it\'\'s\', 3]',
+    'empty: []'
+  ]));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data, { days: ['Mon', 'Wed'], mixed: ['a, b', "it's", 3], empty: [] });
+});
+
+test('quoted strings keep their text; plain values become numbers, booleans and null', () => {
+  const { data, errors } = parseListingYaml(yaml([
+    'double: "Law & AI: \\"LLMs\\" # not a comment"',
+    'single: \'It\'\'s 10:30\'',
+    'number-text: "42"',
+    'number: 42',
+    'decimal: 1.5',
+    'flag: true',
+    'nothing: ~',
+    'date: 2026-10-19',
+    'url: https://example.org/a#section'
+  ]));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data, {
+    double: 'Law & AI: "LLMs" # not a comment',
+    single: "It's 10:30",
+    'number-text': '42',
+    number: 42,
+    decimal: 1.5,
+    flag: true,
+    nothing: null,
+    date: '2026-10-19',
+    url: 'https://example.org/a#section'
+  });
+});
+
+test('comments are ignored on their own lines and after values, but not inside quotes', () => {
+  const { data, errors } = parseListingYaml(yaml([
+    '# Header comment',
+    'title: "Tile" # trailing comment',
+    '  # indented comment',
+    'color: "#00356b"',
+    'tag: C#sharp'
+  ]));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data, { title: 'Tile', color: '#00356b', tag: 'C#sharp' });
+});
+
+test('every key and list entry has its 1-based line and column', () => {
+  const { locations } = parseListingYaml(yaml([
+    '# comment',
+    'items:',
+    '  - tiles:',
+    '      - title: "A"',
+    '        color: "#123456"'
+  ]));
+  assert.deepEqual(locations.get('items'), { line: 2, column: 1 });
+  assert.deepEqual(locations.get('items[0]'), { line: 3, column: 3 });
+  assert.deepEqual(locations.get('items[0].tiles[0].title'), { line: 4, column: 9 });
+  assert.deepEqual(locations.get('items[0].tiles[0].color'), { line: 5, column: 9 });
+});
+
+test('syntax problems are reported with their line and column', () => {
+  const { errors } = parseListingYaml(yaml([
+    'title: "Tile"',
+    'title: "Again"',
+    '\tcolor: "#123456"',
+    'site: "https://example.org',
+    'days: [Mon, Wed',
+    'meta: { a: 1 }',
+    'not a key'
+  ]));
+  assert.deepEqual(errors, [
+    { line: 3, column: 1, message: 'tab used for indentation (use spaces)' },
+    { line: 2, column: 1, message: 'duplicate key "title"' },
+    { line: 3, column: 2, message: 'unexpected indentation' },
+    { line: 4, column: 7, message: 'unterminated or malformed double-quoted string' },
+    { line: 5, column: 7, message: 'unterminated flow list (missing "]")' },
+    { line: 6, column: 7, message: 'flow mappings ("{ ... }") are not supported; use an indented block' },
+    { line: 7, column: 1, message: 'expected "key: value", found "not a key"' }
+  ]);
+});
+
+test('joinPath builds the paths used as location keys', () => {
+  assert.equal(joinPath('', 'items'), 'items');
+  assert.equal(joinPath('items', 3), 'items[3]');
+  assert.equal(joinPath('items[3].tiles', 'title'), 'items[3].tiles.title');
+});
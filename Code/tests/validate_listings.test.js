@@ -0,0 +1,130 @@
+/**
+ * Tests for Code/validate_listings.js: the schema checks (required fields,
+ * enums, patterns, unknown fields) and the duplicate checks that run after
+ * them.
+ *
+ * Run from the project root:
+ *    node --test Code/tests/
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LISTINGS, validateListing, validateAgainstSchema } = require('../validate_listings');
+
+// The problems `value` has against `schema` ({ path, message } entries).
+function validate(value, schema) {
+  const problems = [];
+  validateAgainstSchema(value, schema, '', schema, problems);
+  return problems;
+}
+
+const TILE_SCHEMA = {
+  type: 'object',
+  required: ['title', 'mode'],
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    mode: { type: 'string', enum: ['In person', 'Online'] },
+    color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', description: 'a hex color such as "#00356b"' },
+    code: { type: 'string', pattern: '^[A-Z]+ \\d+$' }
+  }
+};
+
+test('a value that matches the schema has no problems', () => {
+  assert.deepEqual(validate({ title: 'Intro', mode: 'Online', color: '#00356b', code: 'BIS 620' }, TILE_SCHEMA), []);
+});
+
+test('missing required fields are reported on the object that should hold them', () => {
+  assert.deepEqual(validate({ color: '#00356b' }, TILE_SCHEMA), [
+    { path: '', message: 'missing required field "title"' },
+    { path: '', message: 'missing required field "mode"' }
+  ]);
+});
+
+test('enum values must be one of the listed values', () => {
+  assert.deepEqual(validate({ title: 'Intro', mode: 'Hybrid' }, TILE_SCHEMA), [
+    { path: 'mode', message: '"Hybrid" is not one of "In person", "Online"' }
+  ]);
+});
+
+test('patterns are explained by the schema description when there is one', () => {
+  assert.deepEqual(validate({ title: 'Intro', mode: 'Online', color: 'blue', code: 'bis620' }, TILE_SCHEMA), [
+    { path: 'color', message: '"blue" is not a hex color such as "#00356b"' },
+    { path: 'code', message: '"bis620" is not a value matching /^[A-Z]+ \\d+$/' }
+  ]);
+});
+
+test('wrong types, empty strings and unknown fields are reported at their path', () => {
+  assert.deepEqual(validate({ title: ' ', mode: 3, colour: '#00356b' }, TILE_SCHEMA), [
+    { path: 'title', message: 'is empty' },
+    { path: 'mode', message: 'expected string, found integer 3' },
+    { path: 'colour', message: 'unknown field "colour"' }
+  ]);
+});
+
+test('list entries and $ref definitions are checked with indexed paths', () => {
+  const schema = {
+    type: 'object',
+    properties: { tiles: { type: 'array', minItems: 1, items: { $ref: '#/$defs/tile' } } },
+    $defs: { tile: TILE_SCHEMA }
+  };
+  assert.deepEqual(validate({ tiles: [] }, schema), [{ path: 'tiles', message: 'is an empty list' }]);
+  assert.deepEqual(validate({ tiles: [{ title: 'Intro', mode: 'Online' }, { title: 'Lab' }] }, schema), [
+    { path: 'tiles[1]', message: 'missing required field "mode"' }
+  ]);
+});
+
+test('duplicate titles are found across items, ignoring case and spacing', () => {
+  const resources = LISTINGS.find(listing => listing.file.endsWith('resources-listings.yml'));
+  const problems = [];
+  resources.check({
+    facets: [{ key: 'term', label: 'Term', semesters: true }],
+    items: [
+      { term: ['Fall'], tiles: [{ title: 'Intro to  R' }, { title: 'Statistics' }] },
+      { term: ['Spring'], tiles: [{ title: ' intro to r ', id: 'intro-to-r-2' }] }
+    ]
+  }, problems);
+  assert.deepEqual(problems, [
+    { path: 'items[1].tiles[0].title', message: 'duplicate title " intro to r " (first used at items[0].tiles[0].title)' }
+  ]);
+});
+
+test('the resources listing needs exactly one semester facet, holding semester values', () => {
+  const resources = LISTINGS.find(listing => listing.file.endsWith('resources-listings.yml'));
+  const tiles = [{ title: 'Intro' }];
+
+  const missing = [];
+  resources.check({ facets: [{ key: 'term', label: 'Term' }], items: [{ term: ['Fall'], tiles }] }, missing);
+  assert.deepEqual(missing, [
+    { path: 'facets', message: 'no facet is marked `semesters: true` (the one holding Fall, Spring, Summer, ...)' }
+  ]);
+
+  const repeated = [];
+  resources.check({
+    facets: [{ key: 'term', label: 'Term', semesters: true }, { key: 'offered', label: 'Offered', semesters: true }],
+    items: [{ term: ['Fall'], offered: ['Fall'], tiles }]
+  }, repeated);
+  assert.deepEqual(repeated, [
+    { path: 'facets[1].semesters', message: 'only one facet can be marked `semesters: true` (already "term")' }
+  ]);
+
+  const listing = {
+    facets: [{ key: 'term', label: 'Term', wildcards: ['N/A'], semesters: true }],
+    items: [{ term: ['Fall', 'N/A', 'Autumn'], tiles }]
+  };
+  const schema = resources.prepareSchema({
+    $defs: { item: { type: 'object', properties: {} }, tile: { type: 'object', properties: {} } }
+  }, listing);
+  assert.deepEqual(validate(listing.items[0], schema.$defs.item), [
+    { path: 'term[2]', message: '"Autumn" is not one of "Fall", "Spring", "Summer", "Asynchronous", "Varies", "N/A"' }
+  ]);
+});
+
+test('the listing files in the repository validate cleanly', () => {
+  LISTINGS.forEach(listing => {
+    assert.deepEqual(validateListing(listing), [], listing.file);
+  });
+});
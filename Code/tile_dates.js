@@ -0,0 +1,169 @@
+/**
+ * This script handles the dates carried by the resource tiles (`date-added`
+ * and `date-updated` in the listing YAML).
+ *
+ * Used on the filter/search page.
+ *
+ * It includes the following features:
+ *    1. Parsing ISO dates (YYYY-MM-DD) as local calendar days. `new Date()`
+ *       reads them as UTC midnight, which lands on the previous day in US
+ *       time zones.
+ *    2. Resolving date-range filter values: a number of days back from today
+ *       ("30") or an inclusive custom range ("2025-01-01..2025-06-30", either
+ *       end may be left open).
+ *    3. Adding "New" / "Updated" badges to tiles added or updated within a
+ *       configurable number of days.
+ *    4. Academic semesters: which semester (Spring, Summer or Fall of a year)
+ *       a date falls in, with its first and last days.
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Semester boundaries as MM-DD, in calendar order. They follow the Yale
+// academic calendar closely enough for "available this semester" and the
+// timeline: Spring runs through exams, Summer through mid-August.
+const TILE_SEMESTERS = [
+  { name: 'Spring', from: '01-01', to: '05-15' },
+  { name: 'Summer', from: '05-16', to: '08-20' },
+  { name: 'Fall', from: '08-21', to: '12-31' }
+];
+
+/**
+ * Parse a date string as a local calendar day (midnight local time).
+ * Returns null for missing or unparseable values.
+ */
+function parseLocalDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(String(value).trim());
+  if (match) {
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    // Reject impossible days such as 2025-02-30 instead of rolling them over.
+    return date.getMonth() === Number(match[2]) - 1 ? date : null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time.
+ */
+function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Today's date at local midnight.
+ */
+function localToday() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+/**
+ * Whole calendar days from `earlier` to `later` (both local dates).
+ */
+function daysBetween(earlier, later) {
+  return Math.round((later - earlier) / MS_PER_DAY);
+}
+
+/**
+ * Turn a date-range filter value into inclusive { from, to } bounds (either
+ * may be null). Returns null for an empty or invalid value.
+ */
+function resolveDateRange(value, today = localToday()) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value)) {
+    const from = new Date(today);
+    from.setDate(from.getDate() - Number(value));
+    return { from, to: null };
+  }
+
+  const parts = String(value).split('..');
+  if (parts.length !== 2) return null;
+
+  const from = parseLocalDate(parts[0]);
+  const to = parseLocalDate(parts[1]);
+  if (!from && !to) return null;
+  return { from, to };
+}
+
+/**
+ * Whether a date falls inside resolved { from, to } bounds. Missing dates
+ * never match an active range.
+ */
+function isDateInRange(date, range) {
+  if (!range) return true;
+  if (!date) return false;
+  return (!range.from || date >= range.from) && (!range.to || date <= range.to);
+}
+
+/**
+ * Human-readable description of a date-range filter value, for chips.
+ */
+function describeDateRange(value) {
+  if (/^\d+$/.test(value)) return `last ${value} days`;
+
+  const range = resolveDateRange(value);
+  if (!range) return '';
+
+  const format = date => date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  if (range.from && range.to) return `${format(range.from)} – ${format(range.to)}`;
+  return range.from ? `since ${format(range.from)}` : `until ${format(range.to)}`;
+}
+
+/**
+ * The semester `date` falls in: { name, year, label ("Fall 2026"), from, to }
+ * with `from` and `to` as local dates (inclusive).
+ */
+function semesterOfDate(date) {
+  const year = date.getFullYear();
+  const day = formatLocalDate(date).slice(5);
+  const semester = TILE_SEMESTERS.find(entry => day >= entry.from && day <= entry.to) || TILE_SEMESTERS[0];
+  return {
+    name: semester.name,
+    year,
+    label: `${semester.name} ${year}`,
+    from: parseLocalDate(`${year}-${semester.from}`),
+    to: parseLocalDate(`${year}-${semester.to}`)
+  };
+}
+
+/**
+ * Add a "New" or "Updated" badge to a tile's image area. A tile is "New" when
+ * it was added within `newDays` days, otherwise "Updated" when it was updated
+ * (after being added) within `updatedDays` days. A window of 0 turns a badge off,
+ * and dates after `today` never earn one.
+ */
+function applyDateBadge(tile, options, today = localToday()) {
+  const existing = tile.querySelector('.date-badge');
+  if (existing) existing.remove();
+
+  const added = parseLocalDate(tile.getAttribute('data-date-added'));
+  const updated = parseLocalDate(tile.getAttribute('data-date-updated'));
+
+  const withinDays = (date, days) => days > 0 && daysBetween(date, today) >= 0 && daysBetween(date, today) <= days;
+
+  let label = null;
+  if (added && withinDays(added, options.newDays)) {
+    label = 'New';
+  } else if (updated && (!added || updated > added) && withinDays(updated, options.updatedDays)) {
+    label = 'Updated';
+  }
+  if (!label) return;
+
+  const badge = document.createElement('span');
+  badge.className = `date-badge date-badge-${label.toLowerCase()}`;
+  badge.textContent = label;
+
+  const container = tile.querySelector('.image-container') || tile;
+  container.appendChild(badge);
+}
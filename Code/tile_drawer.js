@@ -0,0 +1,347 @@
+/**
+ * This script handles the resource detail drawer: clicking a tile (or pressing
+ * Enter on it) opens a side panel with everything the clamped tile cannot
+ * show, without leaving the site.
+ *
+ * Used on the filter/search page.
+ *
+ * It includes the following features:
+ *    1. Building the drawer from the tile's own markup and data attributes:
+ *       full description, instructors, topic, categories, every outbound link
+ *       and the dates added/updated.
+ *    2. "Related resources": the tiles sharing the most category values with
+ *       the open tile (wildcard values such as "N/A" do not count).
+ *    3. A deep-linkable URL (`?resource=<slug>`). Opening adds a history entry,
+ *       so the browser's back button closes the drawer again.
+ *    4. Dialog behavior: focus moves into the drawer, Tab stays inside it,
+ *       Escape or the backdrop closes it, and focus returns to the tile.
+ *
+ * Usage:
+ *    const drawer = createTileDrawer({
+ *      drawer: document.getElementById('tileDrawer'),
+ *      tiles: document.querySelectorAll('#tilesContainer .tile'),
+ *      groups: [{ name: 'categories1', attribute: 'data-facet-categories1', label: 'Institutional Home', wildcards: [] }]
+ *    });
+ *    drawer.syncWithUrl(); // on load and on popstate
+ *
+ * Date helpers come from Code/tile_dates.js, which must be loaded first.
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const TILE_DRAWER_PARAM = 'resource';
+const TILE_DRAWER_RELATED_COUNT = 5;
+
+/**
+ * The slug of the resource named in the URL, or '' when none is.
+ */
+function readTileDrawerSlug() {
+  return new URLSearchParams(window.location.search).get(TILE_DRAWER_PARAM) || '';
+}
+
+/**
+ * The URL of the current page with the drawer parameter set (or removed when
+ * `slug` is empty). Other parameters, such as the filters, are kept.
+ */
+function buildTileDrawerUrl(slug) {
+  const url = new URL(window.location.href);
+  if (slug) {
+    url.searchParams.set(TILE_DRAWER_PARAM, slug);
+  } else {
+    url.searchParams.delete(TILE_DRAWER_PARAM);
+  }
+  return url.toString();
+}
+
+// Decoded facet values of a tile for one group.
+function readTileDrawerValues(tile, group) {
+  return (tile.getAttribute(group.attribute) || '')
+    .split(' ')
+    .filter(Boolean)
+    .map(value => decodeURIComponent(value));
+}
+
+/**
+ * Tiles ranked by how many category values they share with `tile`, most
+ * first, then by ranking and title. Tiles sharing nothing are left out.
+ */
+function findRelatedTiles(tile, tiles, groups, limit = TILE_DRAWER_RELATED_COUNT) {
+  const ownValues = groups.map(group => {
+    const wildcards = group.wildcards || [];
+    return new Set(readTileDrawerValues(tile, group).filter(value => !wildcards.includes(value)));
+  });
+
+  return Array.from(tiles)
+    .filter(other => other !== tile)
+    .map(other => ({
+      tile: other,
+      shared: groups.reduce((total, group, index) =>
+        total + readTileDrawerValues(other, group).filter(value => ownValues[index].has(value)).length, 0),
+      ranking: parseInt(other.getAttribute('data-ranking'), 10) || 0,
+      title: other.getAttribute('data-title') || ''
+    }))
+    .filter(entry => entry.shared > 0)
+    .sort((a, b) => b.shared - a.shared || a.ranking - b.ranking || a.title.localeCompare(b.title))
+    .slice(0, limit);
+}
+
+/**
+ * Create the drawer controller. See the header comment for config.
+ */
+function createTileDrawer(config) {
+  const drawer = config.drawer;
+  const tiles = Array.from(config.tiles);
+  const groups = config.groups || [];
+  const panel = drawer.querySelector('.tile-drawer-panel');
+  const body = drawer.querySelector('.tile-drawer-body');
+  const titleElement = drawer.querySelector('#tileDrawerTitle');
+  const closeButton = drawer.querySelector('.tile-drawer-close');
+
+  let openTile = null;
+  let returnFocusTo = null;
+  let openedWithHistoryEntry = false;
+
+  function findTileBySlug(slug) {
+    return tiles.find(tile => tile.getAttribute('data-slug') === slug) || null;
+  }
+
+  function formatDate(value) {
+    const date = parseLocalDate(value);
+    return date ? date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }) : '';
+  }
+
+  function createSection(heading) {
+    const section = document.createElement('section');
+    section.className = 'tile-drawer-section';
+    const title = document.createElement('h3');
+    title.textContent = heading;
+    section.appendChild(title);
+    return section;
+  }
+
+  function createExternalLink(href, text) {
+    const link = document.createElement('a');
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = text;
+    return link;
+  }
+
+  // Fill the drawer body for `tile`.
+  function render(tile) {
+    titleElement.textContent = tile.getAttribute('data-title') || '';
+    body.replaceChildren();
+
+    const topic = tile.querySelector('.topic');
+    if (topic && topic.textContent.trim()) {
+      const topicLine = document.createElement('p');
+      topicLine.className = 'tile-drawer-topic';
+      topicLine.textContent = topic.textContent.trim();
+      body.appendChild(topicLine);
+    }
+
+    // Dates and categories as one definition list.
+    const details = document.createElement('dl');
+    details.className = 'tile-drawer-details';
+    const addDetail = (term, value) => {
+      if (!value) return;
+      const dt = document.createElement('dt');
+      dt.textContent = term;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      details.append(dt, dd);
+    };
+    addDetail('Added', formatDate(tile.getAttribute('data-date-added')));
+    addDetail('Updated', formatDate(tile.getAttribute('data-date-updated')));
+    groups.forEach(group => addDetail(group.label, readTileDrawerValues(tile, group).join(', ')));
+    body.appendChild(details);
+
+    const instructors = Array.from(tile.querySelectorAll('.instructors a'));
+    if (instructors.length) {
+      const section = createSection(instructors.length === 1 ? 'Instructor' : 'Instructors');
+      const list = document.createElement('ul');
+      instructors.forEach(instructor => {
+        const item = document.createElement('li');
+        item.appendChild(createExternalLink(instructor.getAttribute('href'), instructor.textContent.trim()));
+        list.appendChild(item);
+      });
+      section.appendChild(list);
+      body.appendChild(section);
+    }
+
+    const description = tile.querySelector('p.description');
+    if (description && description.textContent.trim()) {
+      const section = createSection('Description');
+      const text = document.createElement('p');
+      text.className = 'tile-drawer-description';
+      text.textContent = description.textContent.trim();
+      section.appendChild(text);
+      body.appendChild(section);
+    }
+
+    // Outbound links are the footer icons; their `title` names the link type.
+    const links = Array.from(tile.querySelectorAll('.card-text a.source-code'));
+    if (links.length) {
+      const section = createSection('Links');
+      const list = document.createElement('ul');
+      list.className = 'tile-drawer-links';
+      links.forEach(source => {
+        const item = document.createElement('li');
+        const icon = source.querySelector('i');
+        if (icon) item.appendChild(icon.cloneNode(true));
+        item.appendChild(createExternalLink(source.getAttribute('href'), source.getAttribute('title') || source.getAttribute('href')));
+        list.appendChild(item);
+      });
+      section.appendChild(list);
+      body.appendChild(section);
+    }
+
+    const related = findRelatedTiles(tile, tiles, groups);
+    if (related.length) {
+      const section = createSection('Related resources');
+      const list = document.createElement('ul');
+      list.className = 'tile-drawer-related';
+      related.forEach(entry => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'tile-drawer-related-link';
+        button.textContent = entry.title;
+        button.addEventListener('click', function () {
+          open(entry.tile, { replace: true });
+        });
+        const shared = document.createElement('span');
+        shared.className = 'tile-drawer-shared';
+        shared.textContent = entry.shared === 1 ? '1 shared category' : `${entry.shared} shared categories`;
+        item.append(button, shared);
+        list.appendChild(item);
+      });
+      section.appendChild(list);
+      body.appendChild(section);
+    }
+  }
+
+  /**
+   * Open the drawer for `tile`. Options: updateUrl (default true), replace
+   * (update the current history entry instead of adding one).
+   */
+  function open(tile, options = {}) {
+    if (!tile) return;
+    const updateUrl = options.updateUrl !== false;
+
+    if (!openTile) {
+      returnFocusTo = options.returnFocusTo || (document.activeElement !== document.body ? document.activeElement : tile);
+    }
+    openTile = tile;
+    render(tile);
+
+    drawer.hidden = false;
+    document.body.classList.add('tile-drawer-open');
+    panel.scrollTop = 0;
+    closeButton.focus();
+
+    if (updateUrl) {
+      const url = buildTileDrawerUrl(tile.getAttribute('data-slug'));
+      if (options.replace || url === window.location.href) {
+        history.replaceState(history.state, '', url);
+      } else {
+        history.pushState({ tileDrawer: true }, '', url);
+        openedWithHistoryEntry = true;
+      }
+    }
+  }
+
+  /**
+   * Close the drawer. When opening it added a history entry, step back over
+   * that entry so "back" does not reopen it.
+   */
+  function close(options = {}) {
+    if (!openTile) return;
+    const closedTile = openTile;
+    openTile = null;
+
+    drawer.hidden = true;
+    document.body.classList.remove('tile-drawer-open');
+
+    if (options.updateUrl !== false) {
+      if (openedWithHistoryEntry && history.state && history.state.tileDrawer) {
+        history.back();
+      } else {
+        history.replaceState(history.state, '', buildTileDrawerUrl(''));
+      }
+    }
+    openedWithHistoryEntry = false;
+
+    const focusTarget = returnFocusTo && document.contains(returnFocusTo) ? returnFocusTo : closedTile;
+    returnFocusTo = null;
+    if (focusTarget && typeof focusTarget.focus === 'function') focusTarget.focus();
+  }
+
+  /**
+   * Open or close the drawer to match the URL, without touching history.
+   * Call on load and on popstate.
+   */
+  function syncWithUrl() {
+    const tile = findTileBySlug(readTileDrawerSlug());
+    if (tile) {
+      if (tile !== openTile) open(tile, { updateUrl: false });
+    } else if (openTile) {
+      openedWithHistoryEntry = false;
+      close({ updateUrl: false });
+    }
+  }
+
+  // Keep Tab inside the open drawer and close on Escape.
+  drawer.addEventListener('keydown', function (event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+      return;
+    }
+    if (event.key !== 'Tab') return;
+
+    const focusable = Array.from(panel.querySelectorAll('a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])'));
+    if (!focusable.length) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  });
+
+  drawer.addEventListener('click', function (event) {
+    if (event.target.closest('.tile-drawer-close') || event.target.classList.contains('tile-drawer-backdrop')) {
+      close();
+    }
+  });
+
+  // Tiles open the drawer on click (except on their own links and the
+  // interactive graph canvas, where a click sends a ripple) and on Enter/Space.
+  tiles.forEach(tile => {
+    tile.addEventListener('click', function (event) {
+      if (event.target.closest('a, button, input, select, .network-canvas')) return;
+      open(tile);
+    });
+    tile.addEventListener('keydown', function (event) {
+      if (event.target !== tile) return;
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        open(tile);
+      }
+    });
+  });
+
+  return {
+    open,
+    close,
+    syncWithUrl,
+    isOpen: () => openTile !== null,
+    getOpenTile: () => openTile
+  };
+}
@@ -0,0 +1,479 @@
+/**
+ * This script handles filtering, sorting, and "Show More" pagination for the
+ * resource tile grid. It is the single source of truth for which tiles are
+ * visible and in what order; the page template and the tile canvas renderer
+ * both subscribe to it instead of keeping their own copies of that logic.
+ *
+ * Used on the filter/search page.
+ *
+ * It includes the following features:
+ *    1. A declarative list of filter groups. Each group names the tile data
+ *       attribute it reads, its within-group matching mode ("or"/"and"), and
+ *       any wildcard values (e.g. "N/A") that match every selection.
+ *    2. Sorting by ranking, title, date updated, date added, or search
+ *       relevance.
+ *    3. A "date updated" range filter (last N days or a custom range), using
+ *       the date helpers in Code/tile_dates.js, which must be loaded first.
+ *    4. Keyword search through Code/tile_search.js, when it is loaded.
+ *    5. Progressive reveal: an initial number of tiles, then a batch per
+ *       "Show More".
+ *    6. Live facet counts (how many tiles each option would produce given the
+ *       other active groups) and the most restrictive active filter, for the
+ *       "no results" state.
+ *    7. A small API (applyFilters, setSort, setSearch, setDateRange, showMore,
+ *       setState, getState, getMatchingTiles, getFacetCounts,
+ *       getMostRestrictiveFilter, refreshTiles, onChange) and a ready hook
+ *       for scripts loaded before the engine is created.
+ *
+ * Usage:
+ *    const engine = createTileFilterEngine({
+ *      container: document.getElementById('tilesContainer'),
+ *      tiles: document.querySelectorAll('#tilesContainer .tile'),
+ *      initialCount: 9,
+ *      batchSize: 6,
+ *      groups: [
+ *        { name: 'categories1', attribute: 'data-facet-categories1' },
+ *        { name: 'categories4', attribute: 'data-facet-categories4', wildcards: ['N/A'] }
+ *      ]
+ *    });
+ *    engine.onChange((state, info) => { ... });
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+// Engines created so far, and callbacks waiting for engines to be created.
+const tileFilterEngines = [];
+const tileFilterEngineReadyCallbacks = [];
+
+/**
+ * Run `callback(engine)` for every existing and future filter engine. Lets
+ * scripts that load before the template (e.g. the canvas renderer) subscribe.
+ */
+function onTileFilterEngineReady(callback) {
+  tileFilterEngines.forEach(engine => callback(engine));
+  tileFilterEngineReadyCallbacks.push(callback);
+}
+
+// Compare two optional dates; tiles without a date always sort last.
+function compareTileDates(a, b, direction) {
+  if (!a && !b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  return direction * (a - b);
+}
+
+// Default order ("No sorting"): ranking ascending, then title A–Z.
+function compareTileDefault(a, b) {
+  if (a.ranking !== b.ranking) {
+    return a.ranking - b.ranking;
+  }
+  return a.title.localeCompare(b.title);
+}
+
+// Comparators keyed by the #sortOptions values. `scores` holds search relevance.
+const TILE_SORTERS = {
+  'default': compareTileDefault,
+  'relevance': (a, b, scores) => ((scores.get(b.tile) || 0) - (scores.get(a.tile) || 0)) || compareTileDefault(a, b),
+  'title-asc': (a, b) => a.title.localeCompare(b.title),
+  'title-desc': (a, b) => b.title.localeCompare(a.title),
+  'date-asc': (a, b) => compareTileDates(a.updated, b.updated, 1),
+  'date-desc': (a, b) => compareTileDates(a.updated, b.updated, -1),
+  'added-asc': (a, b) => compareTileDates(a.added, b.added, 1),
+  'added-desc': (a, b) => compareTileDates(a.added, b.added, -1)
+};
+
+/**
+ * Read everything the engine needs from a tile's data attributes once, so
+ * filtering and sorting do not touch the DOM.
+ */
+function readTileRecord(tile, groups) {
+  const values = {};
+  groups.forEach(group => {
+    values[group.name] = (tile.getAttribute(group.attribute) || '')
+      .split(' ')
+      .filter(Boolean)
+      .map(value => decodeURIComponent(value));
+  });
+
+  const ranking = parseInt(tile.getAttribute('data-ranking'), 10);
+
+  return {
+    tile,
+    values,
+    title: (tile.getAttribute('data-title') || '').toLowerCase(),
+    ranking: Number.isFinite(ranking) ? ranking : 0,
+    added: parseLocalDate(tile.getAttribute('data-date-added')),
+    updated: parseLocalDate(tile.getAttribute('data-date-updated'))
+  };
+}
+
+/**
+ * Create a filter engine for a tile grid. See the header comment for config.
+ */
+function createTileFilterEngine(config) {
+  const container = config.container;
+  const initialCount = config.initialCount || 9;
+  const batchSize = config.batchSize || 6;
+  const groups = config.groups.map(group => ({
+    ...group,
+    mode: String(group.mode || 'or').toLowerCase() === 'and' ? 'and' : 'or',
+    wildcards: group.wildcards || []
+  }));
+
+  const records = Array.from(config.tiles).map(tile => readTileRecord(tile, groups));
+  const searchIndex = typeof buildTileSearchIndex === 'function'
+    ? buildTileSearchIndex(records.map(record => record.tile))
+    : null;
+  const listeners = [];
+
+  let state = {
+    categories: normalizeCategories({}),
+    sort: 'default',
+    query: '',
+    dateRange: '',
+    shown: initialCount
+  };
+  let sortedRecords = [...records];
+  let searchScores = null; // Map of tile -> relevance while a search is active
+  let dateBounds = null;   // resolved { from, to } while a date range is active
+  let visibleTiles = new Set();
+
+  // Keep only known groups, and always return an array for each of them.
+  function normalizeCategories(categories) {
+    const normalized = {};
+    groups.forEach(group => {
+      normalized[group.name] = Array.isArray(categories[group.name]) ? [...categories[group.name]] : [];
+    });
+    return normalized;
+  }
+
+  // `selected` defaults to the group's current selection; facet counts pass hypothetical ones.
+  function matchesGroup(record, group, selected = state.categories[group.name]) {
+    if (selected.length === 0) return true;
+
+    const values = record.values[group.name];
+    // Wildcard values (e.g. a semester of "N/A") are never excluded by a selection.
+    if (values.some(value => group.wildcards.includes(value))) return true;
+
+    return group.mode === 'and'
+      ? selected.every(value => values.includes(value))
+      : selected.some(value => values.includes(value));
+  }
+
+  function matchesSearch(record) {
+    return !searchScores || searchScores.has(record.tile);
+  }
+
+  function matchesDate(record) {
+    return isDateInRange(record.updated, dateBounds);
+  }
+
+  function matchesRecord(record) {
+    return groups.every(group => matchesGroup(record, group)) && matchesSearch(record) && matchesDate(record);
+  }
+
+  // Count tiles matching a hypothetical selection, optionally ignoring the search or date range.
+  function countMatches(categories, options = {}) {
+    return records.filter(record =>
+      groups.every(group => matchesGroup(record, group, categories[group.name])) &&
+      (options.ignoreSearch || matchesSearch(record)) &&
+      (options.ignoreDate || matchesDate(record))
+    ).length;
+  }
+
+  function isValidSort(sort) {
+    return Object.prototype.hasOwnProperty.call(TILE_SORTERS, sort) &&
+      (sort !== 'relevance' || searchScores !== null);
+  }
+
+  function runSearch() {
+    searchScores = searchIndex ? searchTileIndex(searchIndex, state.query) : null;
+    if (typeof highlightTileMatches === 'function') {
+      records.forEach(record => highlightTileMatches(record.tile, searchScores ? state.query : ''));
+    }
+  }
+
+  // Re-order the records and the tile elements in the container.
+  function sortRecords() {
+    const comparator = TILE_SORTERS[state.sort];
+    sortedRecords.sort((a, b) => comparator(a, b, searchScores));
+
+    // Moving a tile drops its keyboard focus, so only touch the DOM when the order changed
+    // and give focus back to the tile that had it.
+    const currentOrder = Array.from(container.children).filter(child => child.classList.contains('tile'));
+    if (sortedRecords.every((record, index) => currentOrder[index] === record.tile)) return;
+
+    const focused = document.activeElement;
+    sortedRecords.forEach(record => container.appendChild(record.tile));
+    if (focused && focused !== document.activeElement && container.contains(focused)) {
+      focused.focus({ preventScroll: true });
+    }
+  }
+
+  // Show the first `state.shown` matching tiles, hide the rest, and notify listeners.
+  function render(action) {
+    const previouslyVisible = visibleTiles;
+    const matchingTiles = [];
+    visibleTiles = new Set();
+
+    sortedRecords.forEach(record => {
+      const tile = record.tile;
+      if (matchesRecord(record)) {
+        matchingTiles.push(tile);
+        tile.classList.add('filtered');
+        if (visibleTiles.size < state.shown) {
+          tile.classList.remove('hidden');
+          tile.style.display = 'block';
+          visibleTiles.add(tile);
+          return;
+        }
+      } else {
+        tile.classList.remove('filtered');
+      }
+      tile.classList.add('hidden');
+      tile.style.display = 'none';
+    });
+
+    const info = {
+      action,
+      matchingTiles,
+      visibleTiles: Array.from(visibleTiles),
+      newlyVisibleTiles: Array.from(visibleTiles).filter(tile => !previouslyVisible.has(tile)),
+      hasMore: matchingTiles.length > visibleTiles.size,
+      searchActive: searchScores !== null
+    };
+    const snapshot = getState();
+    listeners.forEach(listener => listener(snapshot, info));
+  }
+
+  /**
+   * Return a copy of the current state:
+   * { categories: { [groupName]: string[] }, sort, query, dateRange, shown }.
+   */
+  function getState() {
+    return {
+      categories: normalizeCategories(state.categories),
+      sort: state.sort,
+      query: state.query,
+      dateRange: state.dateRange,
+      shown: state.shown
+    };
+  }
+
+  /**
+   * Every tile matching the current filters and search, in the current sort
+   * order, including tiles not yet revealed by "Show More".
+   */
+  function getMatchingTiles() {
+    return sortedRecords.filter(matchesRecord).map(record => record.tile);
+  }
+
+  // Store a date-range value, dropping values that do not resolve to bounds.
+  function updateDateRange(value) {
+    dateBounds = resolveDateRange(value);
+    state.dateRange = dateBounds ? value : '';
+  }
+
+  /**
+   * Replace the selected values for the given groups (groups not mentioned
+   * keep their selection) and start again from the first page.
+   */
+  function applyFilters(categories) {
+    state.categories = normalizeCategories({ ...state.categories, ...categories });
+    state.shown = initialCount;
+    render('filter');
+  }
+
+  /**
+   * Change the sort order. Unknown values fall back to "default".
+   */
+  function setSort(sort) {
+    state.sort = isValidSort(sort) ? sort : 'default';
+    state.shown = initialCount;
+    sortRecords();
+    render('sort');
+  }
+
+  /**
+   * Run a keyword search. "Best match" becomes the sort order while a query is
+   * active, unless the user has already picked a different sort.
+   */
+  function setSearch(query) {
+    state.query = (query || '').trim();
+    runSearch();
+
+    if (searchScores && state.sort === 'default') {
+      state.sort = 'relevance';
+    } else if (!searchScores && state.sort === 'relevance') {
+      state.sort = 'default';
+    }
+
+    state.shown = initialCount;
+    sortRecords();
+    render('search');
+  }
+
+  /**
+   * Filter by date updated: a number of days back from today (e.g. "30"), an
+   * inclusive "YYYY-MM-DD..YYYY-MM-DD" range (either end optional), or "" for
+   * any time.
+   */
+  function setDateRange(value) {
+    updateDateRange(value || '');
+    state.shown = initialCount;
+    render('dateRange');
+  }
+
+  /**
+   * Reveal the next batch of matching tiles.
+   */
+  function showMore() {
+    state.shown += batchSize;
+    render('showMore');
+  }
+
+  /**
+   * Restore a complete state (e.g. from the URL) without resetting the
+   * "Show More" depth. Listeners receive `action` (default "restore").
+   */
+  function setState(next, action = 'restore') {
+    state.categories = normalizeCategories(next.categories || {});
+    state.query = (next.query || '').trim();
+    runSearch();
+    updateDateRange(next.dateRange || '');
+    state.sort = isValidSort(next.sort) ? next.sort : (searchScores ? 'relevance' : 'default');
+    state.shown = Math.max(initialCount, next.shown || initialCount);
+    sortRecords();
+    render(action);
+  }
+
+  /**
+   * Re-read the tiles' data attributes after another script changed them
+   * (e.g. a tile was saved to "My resources"), keeping the current state and
+   * "Show More" depth. Listeners receive the action "refresh".
+   */
+  function refreshTiles() {
+    records.forEach(record => {
+      Object.assign(record, readTileRecord(record.tile, groups));
+    });
+    render('refresh');
+  }
+
+  /**
+   * Count, for every option of every group, how many tiles that option would
+   * produce given the other active groups and the search. In "or" groups the
+   * count is for the option on its own; in "and" groups it is for the option
+   * added to the current selection. Tiles with a wildcard value count toward
+   * every option of that group.
+   * Returns { [groupName]: Map(value -> count) }.
+   */
+  function getFacetCounts() {
+    const counts = {};
+
+    groups.forEach(group => {
+      const groupCounts = new Map();
+      let wildcardTiles = 0;
+
+      records.forEach(record => {
+        const matchesOthers = groups.every(other => other === group || matchesGroup(record, other)) &&
+          matchesSearch(record) && matchesDate(record);
+        if (!matchesOthers) return;
+        if (group.mode === 'and' && !matchesGroup(record, group)) return;
+
+        const values = record.values[group.name];
+        if (values.some(value => group.wildcards.includes(value))) {
+          wildcardTiles++;
+          return;
+        }
+        values.forEach(value => groupCounts.set(value, (groupCounts.get(value) || 0) + 1));
+      });
+
+      // Include options no remaining tile has, so they can be shown as empty.
+      records.forEach(record => {
+        record.values[group.name].forEach(value => {
+          if (!group.wildcards.includes(value) && !groupCounts.has(value)) groupCounts.set(value, 0);
+        });
+      });
+      groupCounts.forEach((count, value) => groupCounts.set(value, count + wildcardTiles));
+
+      counts[group.name] = groupCounts;
+    });
+
+    return counts;
+  }
+
+  /**
+   * Find the single active filter whose removal would bring back the most
+   * tiles. Returns { type: 'category', group, value, count },
+   * { type: 'search', query, count }, { type: 'dateRange', value, count },
+   * or null when nothing is active.
+   */
+  function getMostRestrictiveFilter() {
+    let best = null;
+
+    groups.forEach(group => {
+      state.categories[group.name].forEach(value => {
+        const categories = {
+          ...state.categories,
+          [group.name]: state.categories[group.name].filter(selected => selected !== value)
+        };
+        const count = countMatches(categories);
+        if (!best || count > best.count) {
+          best = { type: 'category', group: group.name, value, count };
+        }
+      });
+    });
+
+    if (searchScores) {
+      const count = countMatches(state.categories, { ignoreSearch: true });
+      if (!best || count > best.count) {
+        best = { type: 'search', query: state.query, count };
+      }
+    }
+
+    if (dateBounds) {
+      const count = countMatches(state.categories, { ignoreDate: true });
+      if (!best || count > best.count) {
+        best = { type: 'dateRange', value: state.dateRange, count };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Subscribe to changes. The listener receives (state, info); see render().
+   * Returns a function that removes the listener.
+   */
+  function onChange(listener) {
+    listeners.push(listener);
+    return function () {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    };
+  }
+
+  const engine = {
+    groups: groups.map(group => ({ ...group })),
+    initialCount,
+    batchSize,
+    applyFilters,
+    setSort,
+    setSearch,
+    setDateRange,
+    showMore,
+    setState,
+    getState,
+    getMatchingTiles,
+    getFacetCounts,
+    getMostRestrictiveFilter,
+    refreshTiles,
+    onChange
+  };
+
+  tileFilterEngines.push(engine);
+  tileFilterEngineReadyCallbacks.forEach(callback => callback(engine));
+
+  return engine;
+}
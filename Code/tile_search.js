@@ -0,0 +1,191 @@
+/**
+ * This script handles the full-text keyword search over the resource tiles.
+ * Each tile's title, instructors, topic, and description are tokenized into a
+ * small in-memory index that is queried as the user types into the sidebar
+ * search box.
+ *
+ * Used on the filter/search page, and for the tool tables on the tools page
+ * (Code/tool_tables.js), which index table rows with their own fields.
+ *
+ * It includes the following features:
+ *    1. Tokenizing text (case- and accent-insensitive, common words dropped).
+ *    2. Building a weighted index from the tile DOM (title > instructors >
+ *       topic > description), or from any fields passed in.
+ *    3. Ranking matches by relevance. Every query term must match a tile, and
+ *       terms match word prefixes so results update while typing.
+ *    4. Highlighting matched terms inside the tile with <mark> elements,
+ *       without rewriting the tile markup through innerHTML.
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+// Field weights used when scoring a match; a hit in the title outranks the
+// same hit buried in the description.
+const SEARCH_FIELDS = [
+  { name: 'title', selector: '.js-line-count', weight: 4 },
+  { name: 'instructors', selector: '.instructors', weight: 3 },
+  { name: 'topic', selector: '.topic', weight: 2 },
+  { name: 'description', selector: 'p.description', weight: 1 }
+];
+
+// Words too common to be useful on their own.
+const SEARCH_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'from', 'in', 'into',
+  'is', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+/**
+ * Normalize text for matching: lowercase and strip accents.
+ */
+function normalizeSearchText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split text into search tokens, dropping stopwords.
+ */
+function tokenizeSearchText(text) {
+  return normalizeSearchText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !SEARCH_STOPWORDS.has(token));
+}
+
+/**
+ * Build the search index for a list of tile elements. `fields` lists the
+ * { name, selector, weight } parts of each tile to index (default: the
+ * resource tile fields). Each tile's `data-title` gets the title boost.
+ */
+function buildTileSearchIndex(tiles, fields = SEARCH_FIELDS) {
+  const documentFrequency = new Map();
+
+  const entries = tiles.map(tile => {
+    const indexedFields = fields.map(field => {
+      const element = tile.querySelector(field.selector);
+      const terms = new Map();
+      tokenizeSearchText(element ? element.textContent : '').forEach(token => {
+        terms.set(token, (terms.get(token) || 0) + 1);
+      });
+      return { weight: field.weight, terms };
+    });
+
+    // Count each distinct term once per tile for the IDF weighting.
+    const distinct = new Set();
+    indexedFields.forEach(field => field.terms.forEach((count, term) => distinct.add(term)));
+    distinct.forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+
+    return { tile, fields: indexedFields, title: normalizeSearchText(tile.getAttribute('data-title')) };
+  });
+
+  return { entries, documentFrequency, size: tiles.length };
+}
+
+/**
+ * Score a single query token against one indexed tile. Returns 0 when the
+ * token does not match any word in the tile.
+ */
+function scoreSearchToken(index, entry, token) {
+  let best = 0;
+
+  entry.fields.forEach(field => {
+    field.terms.forEach((count, term) => {
+      if (!term.startsWith(token)) return;
+      const idf = Math.log(1 + index.size / (index.documentFrequency.get(term) || 1));
+      // Whole-word hits count fully; prefix hits count a little less.
+      const exactness = term === token ? 1 : 0.6;
+      best = Math.max(best, field.weight * (1 + Math.log(count)) * idf * exactness);
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Run a query against the index. Returns null for an empty query (meaning
+ * "no search active"), otherwise a Map of matching tile -> relevance score.
+ */
+function searchTileIndex(index, query) {
+  const tokens = tokenizeSearchText(query);
+  if (tokens.length === 0) return null;
+
+  const phrase = normalizeSearchText(query).trim();
+  const results = new Map();
+
+  index.entries.forEach(entry => {
+    let score = 0;
+    for (const token of tokens) {
+      const tokenScore = scoreSearchToken(index, entry, token);
+      if (tokenScore === 0) return; // every token must match
+      score += tokenScore;
+    }
+    // Boost tiles whose title contains the query as typed.
+    if (phrase.length > 2 && entry.title.includes(phrase)) score *= 1.5;
+    results.set(entry.tile, score);
+  });
+
+  return results;
+}
+
+/**
+ * Remove any highlight <mark> elements previously added to a tile.
+ */
+function clearTileHighlights(tile) {
+  tile.querySelectorAll('mark.search-highlight').forEach(mark => {
+    const parent = mark.parentNode;
+    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+    parent.normalize();
+  });
+}
+
+/**
+ * Wrap words in the tile's searchable fields (default: the resource tile
+ * fields) that start with any of the query tokens in
+ * <mark class="search-highlight">.
+ */
+function highlightTileMatches(tile, query, fields = SEARCH_FIELDS) {
+  clearTileHighlights(tile);
+
+  const tokens = tokenizeSearchText(query);
+  if (tokens.length === 0) return;
+
+  fields.forEach(field => {
+    const element = tile.querySelector(field.selector);
+    if (!element) return;
+
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+      const text = node.nodeValue;
+      const fragment = document.createDocumentFragment();
+      const wordPattern = /[\p{L}\p{N}]+/gu;
+      let lastIndex = 0;
+      let matched = false;
+      let match;
+
+      while ((match = wordPattern.exec(text)) !== null) {
+        const word = normalizeSearchText(match[0]);
+        const token = tokens.find(t => word.startsWith(t));
+        if (!token) continue;
+
+        // Only mark the part of the word the user actually typed.
+        const length = Math.min(match[0].length, token.length);
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        const mark = document.createElement('mark');
+        mark.className = 'search-highlight';
+        mark.textContent = text.slice(match.index, match.index + length);
+        fragment.appendChild(mark);
+        lastIndex = match.index + length;
+        matched = true;
+      }
+
+      if (!matched) return;
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+      node.parentNode.replaceChild(fragment, node);
+    });
+  });
+}
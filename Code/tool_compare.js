@@ -0,0 +1,331 @@
+/**
+ * This script handles the side-by-side comparison of AI tools on the tools
+ * page, generated from Code/Listing_Tools/tools-listings.yml by
+ * tools-formatting.ejs.
+ *
+ * Used on the tools page.
+ *
+ * It includes the following features:
+ *    1. A "Compare" checkbox on every tool row. Up to four tools can be
+ *       checked; the other checkboxes are disabled while four are selected.
+ *       A tool listed in several categories is checked in all of them.
+ *    2. A comparison panel with the selected tools as columns and their
+ *       category, Yale availability, data types, access and links as rows.
+ *       The data types and access rows are left out while none of the
+ *       selected tools lists any. Each column can be removed on its own, or
+ *       all at once.
+ *    3. A tray that stays on screen with the number of selected tools and a
+ *       button that moves to the panel.
+ *    4. Keeping the selection in the URL (`?compare=claude,gemini`), so a
+ *       comparison can be shared. Every change adds a history entry, so the
+ *       browser's back and forward buttons step through earlier selections.
+ *
+ * Markup (see tools-formatting.ejs):
+ *    <div class="tool-tables">
+ *      <section class="tool-compare" hidden> … <button class="tool-compare-clear">
+ *        <div class="tool-compare-body"></div>
+ *      </section>
+ *      <div class="tool-compare-tray" hidden>
+ *        <span class="tool-compare-count"></span> <button class="tool-compare-jump">
+ *      </div>
+ *      <tr data-tool-id="…" data-title="…" data-category="…" data-free-at-yale="true|false"
+ *          data-data-types="Text Code" data-access="Web%20app API">
+ *        <td class="tool-name"><a href="…"></a></td> …
+ *        <input type="checkbox" class="tool-compare-toggle" value="<tool id>">
+ *      </tr>
+ *    </div>
+ * List attributes hold encodeURIComponent() values separated by spaces.
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const TOOL_COMPARE_PARAM = 'compare';
+const TOOL_COMPARE_MAX = 4;
+
+/**
+ * The tool ids named in the URL, in order and without repeats.
+ */
+function readToolCompareIds() {
+  const value = new URLSearchParams(window.location.search).get(TOOL_COMPARE_PARAM) || '';
+  return Array.from(new Set(value.split(',').map(id => id.trim()).filter(Boolean)));
+}
+
+/**
+ * The URL of the current page with the comparison parameter set to `ids`
+ * (removed when none are selected). Other parameters are kept.
+ */
+function buildToolCompareUrl(ids) {
+  const url = new URL(window.location.href);
+  if (ids.length) {
+    url.searchParams.set(TOOL_COMPARE_PARAM, ids.join(','));
+  } else {
+    url.searchParams.delete(TOOL_COMPARE_PARAM);
+  }
+  // Commas are valid in a query string; leave them readable in shared links.
+  url.search = url.searchParams.toString().replace(/%2C/gi, ',');
+  return url.toString();
+}
+
+// Decoded values of a list attribute on a tool row.
+function readToolCompareValues(row, attribute) {
+  return (row.getAttribute(attribute) || '')
+    .split(' ')
+    .filter(Boolean)
+    .map(value => decodeURIComponent(value));
+}
+
+/**
+ * One record per tool id from the table rows. A tool listed in several
+ * categories keeps the fields of its first row and collects every category.
+ */
+function collectComparedTools(rows) {
+  const tools = new Map();
+  rows.forEach(row => {
+    const id = row.getAttribute('data-tool-id');
+    const category = row.getAttribute('data-category') || '';
+    if (!id) return;
+
+    if (tools.has(id)) {
+      const tool = tools.get(id);
+      if (category && !tool.categories.includes(category)) tool.categories.push(category);
+      return;
+    }
+
+    const link = row.querySelector('.tool-name a');
+    tools.set(id, {
+      id,
+      name: row.getAttribute('data-title') || '',
+      url: link ? link.getAttribute('href') : '',
+      freeAtYale: row.getAttribute('data-free-at-yale') === 'true',
+      categories: category ? [category] : [],
+      dataTypes: readToolCompareValues(row, 'data-data-types'),
+      access: readToolCompareValues(row, 'data-access')
+    });
+  });
+  return tools;
+}
+
+/**
+ * Wire up the comparison for one `.tool-tables` block. Returns { add, remove,
+ * clear, selected, syncWithUrl }.
+ */
+function createToolCompare(root) {
+  const panel = root.querySelector('.tool-compare');
+  const body = root.querySelector('.tool-compare-body');
+  const clearButton = root.querySelector('.tool-compare-clear');
+  const tray = root.querySelector('.tool-compare-tray');
+  const count = root.querySelector('.tool-compare-count');
+  const jumpButton = root.querySelector('.tool-compare-jump');
+  const searchInput = root.querySelector('.tool-search-input');
+  const checkboxes = Array.from(root.querySelectorAll('.tool-compare-toggle'));
+  const tools = collectComparedTools(Array.from(root.querySelectorAll('tr[data-tool-id]')));
+
+  let selection = [];
+
+  function createExternalLink(href, text) {
+    const link = document.createElement('a');
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = text;
+    return link;
+  }
+
+  // A `ul` of `values`, or "Not listed" when there are none.
+  function createValueList(values) {
+    if (!values.length) {
+      const missing = document.createElement('span');
+      missing.className = 'tool-compare-missing';
+      missing.textContent = 'Not listed';
+      return missing;
+    }
+    const list = document.createElement('ul');
+    values.forEach(value => {
+      const item = document.createElement('li');
+      item.textContent = value;
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  // Build the comparison table: one column per selected tool, one row per attribute.
+  function renderTable() {
+    const selected = selection.map(id => tools.get(id));
+    const table = document.createElement('table');
+    table.className = 'tool-compare-table';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    const corner = document.createElement('td');
+    corner.className = 'tool-compare-corner';
+    headRow.appendChild(corner);
+    selected.forEach(tool => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      const name = document.createElement('span');
+      name.className = 'tool-compare-name';
+      name.textContent = tool.name;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'tool-compare-remove';
+      remove.setAttribute('data-tool-id', tool.id);
+      remove.setAttribute('aria-label', `Remove ${tool.name} from the comparison`);
+      remove.innerHTML = '<i class="bi bi-x-lg" aria-hidden="true"></i>';
+      th.append(name, remove);
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+
+    const attributes = [
+      { label: 'Category', render: tool => createValueList(tool.categories) },
+      {
+        label: 'Yale availability',
+        render: tool => {
+          const value = document.createElement('span');
+          value.className = tool.freeAtYale ? 'tool-compare-free' : 'tool-compare-paid';
+          value.textContent = tool.freeAtYale ? 'Free at Yale' : 'Not free at Yale';
+          return value;
+        }
+      },
+      { label: 'Data types', values: tool => tool.dataTypes, render: tool => createValueList(tool.dataTypes) },
+      { label: 'Access', values: tool => tool.access, render: tool => createValueList(tool.access) },
+      {
+        label: 'Links',
+        render: tool => {
+          if (!tool.url) return createValueList([]);
+          const list = document.createElement('ul');
+          const item = document.createElement('li');
+          item.appendChild(createExternalLink(tool.url, 'Website'));
+          list.appendChild(item);
+          return list;
+        }
+      }
+    // Optional listing fields get a row only when a selected tool has values.
+    ].filter(attribute => !attribute.values || selected.some(tool => attribute.values(tool).length));
+
+    const tableBody = document.createElement('tbody');
+    attributes.forEach(attribute => {
+      const row = document.createElement('tr');
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = attribute.label;
+      row.appendChild(th);
+      selected.forEach(tool => {
+        const td = document.createElement('td');
+        td.appendChild(attribute.render(tool));
+        row.appendChild(td);
+      });
+      tableBody.appendChild(row);
+    });
+
+    table.append(head, tableBody);
+    body.replaceChildren(table);
+  }
+
+  // Match the checkboxes, panel and tray to the selection.
+  function render() {
+    const full = selection.length >= TOOL_COMPARE_MAX;
+    checkboxes.forEach(checkbox => {
+      checkbox.checked = selection.includes(checkbox.value);
+      checkbox.disabled = full && !checkbox.checked;
+    });
+
+    panel.hidden = selection.length === 0;
+    if (tray) tray.hidden = selection.length === 0;
+    if (selection.length) renderTable();
+    else body.replaceChildren();
+
+    if (count) {
+      count.textContent = selection.length
+        ? `${selection.length} of ${TOOL_COMPARE_MAX} tools selected for comparison` + (full ? ' (the most that can be compared)' : '')
+        : '';
+    }
+  }
+
+  /**
+   * Compare `ids` (unknown ids are ignored, and only the first four are
+   * kept). Options: updateUrl (default true) adds a history entry for the
+   * new selection.
+   */
+  function setSelection(ids, options = {}) {
+    selection = ids.filter((id, index) => tools.has(id) && ids.indexOf(id) === index).slice(0, TOOL_COMPARE_MAX);
+    render();
+    if (options.updateUrl !== false) {
+      const url = buildToolCompareUrl(selection);
+      if (url !== window.location.href) history.pushState({ toolCompare: true }, '', url);
+    }
+  }
+
+  function add(id) {
+    if (!selection.includes(id)) setSelection(selection.concat(id));
+  }
+
+  function remove(id) {
+    setSelection(selection.filter(selected => selected !== id));
+  }
+
+  function clear() {
+    setSelection([]);
+  }
+
+  /**
+   * Show the comparison named in the URL, without touching history. Call on
+   * load and on popstate.
+   */
+  function syncWithUrl() {
+    setSelection(readToolCompareIds(), { updateUrl: false });
+  }
+
+  // Focus somewhere sensible after a column (or every column) is removed.
+  function focusAfterRemoval() {
+    const nextRemove = body.querySelector('.tool-compare-remove');
+    if (nextRemove) nextRemove.focus();
+    else if (searchInput) searchInput.focus();
+  }
+
+  root.addEventListener('change', function (event) {
+    const checkbox = event.target.closest('.tool-compare-toggle');
+    if (!checkbox) return;
+    if (checkbox.checked) add(checkbox.value);
+    else remove(checkbox.value);
+  });
+
+  body.addEventListener('click', function (event) {
+    const button = event.target.closest('.tool-compare-remove');
+    if (!button) return;
+    remove(button.getAttribute('data-tool-id'));
+    focusAfterRemoval();
+  });
+
+  if (clearButton) {
+    clearButton.addEventListener('click', function () {
+      clear();
+      focusAfterRemoval();
+    });
+  }
+
+  if (jumpButton) {
+    jumpButton.addEventListener('click', function () {
+      panel.scrollIntoView({ block: 'start' });
+      panel.focus();
+    });
+  }
+
+  window.addEventListener('popstate', syncWithUrl);
+  syncWithUrl();
+
+  return {
+    add,
+    remove,
+    clear,
+    selected: () => selection.slice(),
+    syncWithUrl
+  };
+}
+
+document.addEventListener('DOMContentLoaded', function () {
+  document.querySelectorAll('.tool-tables').forEach(root => {
+    if (root.querySelector('.tool-compare')) createToolCompare(root);
+  });
+});
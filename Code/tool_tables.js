@@ -0,0 +1,181 @@
+/**
+ * This script handles the AI tools tables on the tools page, generated from
+ * Code/Listing_Tools/tools-listings.yml by tools-formatting.ejs.
+ *
+ * Used on the tools page. Keyword matching and highlighting come from
+ * Code/tile_search.js, which must be loaded first.
+ *
+ * It includes the following features:
+ *    1. Sorting each table by tool name or by "Free at Yale?" from its column
+ *       headings: ascending, descending, then back to the listing order. The
+ *       active column is marked with `aria-sort`.
+ *    2. A "Free at Yale only" toggle that hides the other tools.
+ *    3. A keyword search over tool names and descriptions in every category,
+ *       with matched words highlighted and the number of matches announced.
+ *       Categories left without tools are hidden, and a collapsed category
+ *       with matches is opened.
+ *    4. Collapsing and expanding each category's table from its header.
+ *
+ * Markup (see tools-formatting.ejs):
+ *    <div class="tool-tables">
+ *      <input class="tool-search-input"> <input type="checkbox" class="tool-free-toggle">
+ *      <p class="tool-search-status"></p>
+ *      <section class="tool-category">
+ *        <button class="tool-category-toggle" aria-controls="<body id>">…</button>
+ *        <div class="tool-category-body" id="<body id>">
+ *          <table> … <th><button class="tool-sort" data-sort="name|free"></th> …
+ *            <tr data-tool data-index="0" data-title="…" data-free-at-yale="true|false">
+ *        </div>
+ *      </section>
+ *      <p class="tool-empty"></p>
+ *    </div>
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const TOOL_SEARCH_FIELDS = [
+  { name: 'title', selector: '.tool-name', weight: 4 },
+  { name: 'description', selector: 'td.description', weight: 1 }
+];
+const TOOL_SEARCH_DELAY_MS = 150;
+const TOOL_SORT_CYCLE = { none: 'ascending', ascending: 'descending', descending: 'none' };
+
+/**
+ * Compare two tool rows for sorting by `column` ('name' or 'free') in
+ * `direction` ('ascending', 'descending' or 'none'). Ascending puts tools
+ * that are free at Yale first. Ties, and 'none', keep the listing order.
+ */
+function compareToolRows(a, b, column, direction) {
+  const listingOrder = Number(a.dataset.index) - Number(b.dataset.index);
+  if (direction === 'none') return listingOrder;
+
+  let result;
+  if (column === 'free') {
+    result = (b.dataset.freeAtYale === 'true') - (a.dataset.freeAtYale === 'true');
+  } else {
+    result = a.dataset.title.localeCompare(b.dataset.title, undefined, { sensitivity: 'base' });
+  }
+  return (direction === 'descending' ? -result : result) || listingOrder;
+}
+
+/**
+ * Wire up one `.tool-tables` block. Returns { setQuery, setFreeOnly,
+ * sortTable, setCollapsed }.
+ */
+function createToolTables(root) {
+  const searchInput = root.querySelector('.tool-search-input');
+  const freeToggle = root.querySelector('.tool-free-toggle');
+  const status = root.querySelector('.tool-search-status');
+  const emptyState = root.querySelector('.tool-empty');
+  const sections = Array.from(root.querySelectorAll('.tool-category'));
+  const rows = Array.from(root.querySelectorAll('tr[data-tool]'));
+  const index = buildTileSearchIndex(rows, TOOL_SEARCH_FIELDS);
+  const state = { query: '', freeOnly: false };
+
+  /**
+   * Collapse or expand a category's table.
+   */
+  function setCollapsed(section, collapsed) {
+    const toggle = section.querySelector('.tool-category-toggle');
+    const body = section.querySelector('.tool-category-body');
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+    body.hidden = collapsed;
+    section.classList.toggle('is-collapsed', collapsed);
+  }
+
+  // Show the rows matching the search and the toggle, and the categories that still have some.
+  function applyFilters() {
+    const matches = searchTileIndex(index, state.query);
+    let visibleCount = 0;
+
+    rows.forEach(row => {
+      const visible = (!matches || matches.has(row)) && (!state.freeOnly || row.dataset.freeAtYale === 'true');
+      row.hidden = !visible;
+      highlightTileMatches(row, matches ? state.query : '', TOOL_SEARCH_FIELDS);
+      if (visible) visibleCount++;
+    });
+
+    sections.forEach(section => {
+      const hasRows = Boolean(section.querySelector('tr[data-tool]:not([hidden])'));
+      section.hidden = !hasRows;
+      if (matches && hasRows) setCollapsed(section, false);
+    });
+
+    if (status) {
+      status.textContent = matches
+        ? (visibleCount === 1 ? '1 tool matches' : `${visibleCount} tools match`)
+        : '';
+    }
+    if (emptyState) emptyState.hidden = visibleCount > 0;
+  }
+
+  function setQuery(query) {
+    state.query = query.trim();
+    if (searchInput && searchInput.value.trim() !== state.query) searchInput.value = state.query;
+    applyFilters();
+  }
+
+  function setFreeOnly(freeOnly) {
+    state.freeOnly = Boolean(freeOnly);
+    if (freeToggle) freeToggle.checked = state.freeOnly;
+    applyFilters();
+  }
+
+  /**
+   * Sort one table by `column` ('name' or 'free') in `direction`
+   * ('ascending', 'descending' or 'none' for the listing order).
+   */
+  function sortTable(table, column, direction) {
+    const tableRows = Array.from(table.querySelectorAll('tr[data-tool]'));
+    if (!tableRows.length) return;
+    const body = tableRows[0].parentNode;
+    tableRows
+      .sort((a, b) => compareToolRows(a, b, column, direction))
+      .forEach(row => body.appendChild(row));
+
+    table.querySelectorAll('.tool-sort').forEach(button => {
+      const active = button.dataset.sort === column && direction !== 'none';
+      button.closest('th').setAttribute('aria-sort', active ? direction : 'none');
+    });
+  }
+
+  root.addEventListener('click', function (event) {
+    const sortButton = event.target.closest('.tool-sort');
+    if (sortButton) {
+      const table = sortButton.closest('table');
+      const current = sortButton.closest('th').getAttribute('aria-sort') || 'none';
+      sortTable(table, sortButton.dataset.sort, TOOL_SORT_CYCLE[current] || 'ascending');
+      return;
+    }
+
+    const toggle = event.target.closest('.tool-category-toggle');
+    if (toggle) {
+      const section = toggle.closest('.tool-category');
+      setCollapsed(section, toggle.getAttribute('aria-expanded') === 'true');
+    }
+  });
+
+  if (freeToggle) {
+    freeToggle.addEventListener('change', function () {
+      setFreeOnly(freeToggle.checked);
+    });
+  }
+
+  // Debounce typing so the index is not queried on every keystroke.
+  if (searchInput) {
+    let searchTimer = null;
+    searchInput.addEventListener('input', function () {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(function () {
+        setQuery(searchInput.value);
+      }, TOOL_SEARCH_DELAY_MS);
+    });
+  }
+
+  return { setQuery, setFreeOnly, sortTable, setCollapsed };
+}
+
+document.addEventListener('DOMContentLoaded', function () {
+  document.querySelectorAll('.tool-tables').forEach(root => createToolTables(root));
+});
@@ -0,0 +1,453 @@
+/**
+ * This script handles checking the listing YAML files against their JSON
+ * Schemas before the site is rendered, so a missing field or malformed value
+ * is caught here instead of breaking (or silently blanking) a page.
+ *
+ * Run from the project root, before `quarto render`:
+ *    node Code/validate_listings.js                 # all listing files
+ *    node Code/validate_listings.js <file.yml> ...  # only the given files
+ *
+ * It includes the following features:
+ *    1. Reading each listing with Code/listing_yaml.js, which keeps the line
+ *       and column of every field.
+ *    2. Checking the parsed listing against its schema (required fields,
+ *       unknown keys, types, ISO dates, #RRGGBB colors, numeric rankings and
+ *       well-formed URLs).
+ *    3. Listing-specific checks the schemas cannot express: duplicate titles
+ *       or names (tools: duplicate categories, or a tool listed twice in one
+ *       category), two resources with the same id, undeclared, missing or
+ *       reserved facets, a missing or repeated semester facet (`semesters:
+ *       true`, whose values must be semesters), `date-updated` earlier than
+ *       `date-added`, and event dates that cannot become calendar entries
+ *       (`end` before `start`, a schedule without dates).
+ *    4. Printing every problem as `file:line:column: path: message` and
+ *       exiting with status 1 when any were found.
+ *
+ * The schemas sit next to their listings (`*-listings.schema.json`). Only the
+ * JSON Schema keywords in SCHEMA_KEYWORDS below are understood; using any
+ * other keyword in a schema is reported as an error in the schema itself.
+ *
+ * Author: Shelby Golden, M.S.
+ *   Date: October 2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseListingYaml, joinPath } = require('./listing_yaml');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+const LISTINGS = [
+  {
+    file: 'Code/Listing_Resources/resources-listings.yml',
+    schema: 'Code/Listing_Resources/resources-listings.schema.json',
+    prepareSchema: prepareResourcesSchema,
+    check: checkResourcesListing
+  },
+  {
+    file: 'Code/Listing_About-Us/about-us-listings.yml',
+    schema: 'Code/Listing_About-Us/about-us-listings.schema.json',
+    check: checkAboutUsListing
+  },
+  {
+    file: 'Code/Listing_Tools/tools-listings.yml',
+    schema: 'Code/Listing_Tools/tools-listings.schema.json',
+    check: checkToolsListing
+  }
+];
+
+const SCHEMA_KEYWORDS = new Set([
+  '$schema', '$id', '$defs', '$ref', '$comment', 'title', 'description',
+  'type', 'enum', 'required', 'properties', 'additionalProperties', 'items',
+  'minItems', 'minLength', 'minimum', 'pattern', 'format'
+]);
+
+const FORMAT_CHECKS = {
+  'date': value => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return 'is not a date in YYYY-MM-DD form';
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3])
+      ? null
+      : 'is not a real calendar date';
+  },
+  'uri': value => {
+    if (/\s/.test(value)) return 'is not a well-formed URL (contains spaces)';
+    try {
+      const url = new URL(value);
+      return ['http:', 'https:', 'mailto:'].includes(url.protocol) && (url.protocol === 'mailto:' || url.hostname)
+        ? null
+        : 'is not a well-formed http(s) URL';
+    } catch (error) {
+      return 'is not a well-formed URL (include the https:// prefix)';
+    }
+  },
+  'uri-reference': value => {
+    if (/\s/.test(value)) return 'is not a well-formed link (contains spaces)';
+    try {
+      new URL(value, 'https://example.org/');
+      return null;
+    } catch (error) {
+      return 'is not a well-formed link';
+    }
+  },
+  'hex-color': value => /^#[0-9A-Fa-f]{6}$/.test(value) ? null : 'is not a hex color (expected #RRGGBB)',
+  'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : 'is not an email address'
+};
+
+/**
+ * The JSON type name of a parsed YAML value.
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function formatValue(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Resolve a local `#/$defs/name` reference.
+ */
+function resolveRef(ref, rootSchema) {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], rootSchema);
+  if (!ref.startsWith('#/') || !target) throw new Error(`Unresolvable schema reference "${ref}".`);
+  return target;
+}
+
+/**
+ * Report keywords this validator does not implement, so a schema edit cannot
+ * silently stop checking something.
+ */
+function checkSchemaKeywords(schema, where, problems) {
+  if (!schema || typeof schema !== 'object') return;
+  Object.keys(schema).forEach(keyword => {
+    if (!SCHEMA_KEYWORDS.has(keyword)) {
+      problems.push(`${where}: unsupported keyword "${keyword}"`);
+    }
+  });
+  Object.entries(schema.properties || {}).forEach(([name, child]) => checkSchemaKeywords(child, `${where}.properties.${name}`, problems));
+  Object.entries(schema.$defs || {}).forEach(([name, child]) => checkSchemaKeywords(child, `${where}.$defs.${name}`, problems));
+  if (typeof schema.items === 'object') checkSchemaKeywords(schema.items, `${where}.items`, problems);
+  if (typeof schema.additionalProperties === 'object') checkSchemaKeywords(schema.additionalProperties, `${where}.additionalProperties`, problems);
+}
+
+/**
+ * Validate `value` against `schema`, appending { path, message } entries to `problems`.
+ */
+function validateAgainstSchema(value, schema, valuePath, rootSchema, problems) {
+  if (schema.$ref) {
+    validateAgainstSchema(value, resolveRef(schema.$ref, rootSchema), valuePath, rootSchema, problems);
+  }
+
+  const report = message => problems.push({ path: valuePath, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      report(value === null
+        ? `is empty (expected ${types.join(' or ')})`
+        : `expected ${types.join(' or ')}, found ${typeOf(value)} ${formatValue(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(`${formatValue(value)} is not one of ${schema.enum.map(formatValue).join(', ')}`);
+  }
+
+  if (typeof value === 'string' || typeof value === 'number') {
+    const text = String(value);
+    if (schema.minLength !== undefined && typeof value === 'string' && text.trim().length < schema.minLength) {
+      report('is empty');
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(text)) {
+      report(`${formatValue(value)} is not ${schema.description || `a value matching /${schema.pattern}/`}`);
+    }
+    if (schema.format && typeof value === 'string') {
+      const message = FORMAT_CHECKS[schema.format] ? FORMAT_CHECKS[schema.format](value) : null;
+      if (message) report(`${formatValue(value)} ${message}`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+      report(`${value} is less than ${schema.minimum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(schema.minItems === 1 ? 'is an empty list' : `has ${value.length} entries (expected at least ${schema.minItems})`);
+    }
+    if (schema.items) {
+      value.forEach((entry, index) => validateAgainstSchema(entry, schema.items, joinPath(valuePath, index), rootSchema, problems));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) report(`missing required field "${key}"`);
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      const keyPath = joinPath(valuePath, key);
+      if (properties[key]) {
+        validateAgainstSchema(value[key], properties[key], keyPath, rootSchema, problems);
+      } else if (schema.additionalProperties === false) {
+        problems.push({ path: keyPath, message: `unknown field "${key}"` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateAgainstSchema(value[key], schema.additionalProperties, keyPath, rootSchema, problems);
+      }
+    });
+  }
+}
+
+/**
+ * Report values that appear more than once (case- and whitespace-insensitive).
+ */
+function checkDuplicates(entries, label, problems) {
+  const seen = new Map();
+  entries.forEach(({ value, path: entryPath }) => {
+    if (typeof value !== 'string') return;
+    const normalized = value.trim().replace(/\s+/g, ' ').toLowerCase();
+    if (seen.has(normalized)) {
+      problems.push({ path: entryPath, message: `duplicate ${label} ${formatValue(value)} (first used at ${seen.get(normalized)})` });
+    } else {
+      seen.set(normalized, entryPath);
+    }
+  });
+}
+
+// The id a tile gets when it has no `id` (mirrors slugify() in resources-formatting.ejs).
+function slugifyTitle(value) {
+  return String(value || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Values of the facet marked `semesters: true` (besides its wildcards); mirrors TILE_SEMESTERS in
+// Code/tile_dates.js and the RESOURCE_SEMESTER_* values in Code/resource_calendar.js.
+const SEMESTER_FACET_VALUES = ['Fall', 'Spring', 'Summer', 'Asynchronous', 'Varies'];
+
+// Facet keys taken by filters the page adds itself.
+const RESERVED_FACETS = {
+  saved: 'the "My resources" filter',
+  availability: 'the "Available this semester" filter'
+};
+
+function checkDateOrder(tile, tilePath, problems) {
+  const added = tile['date-added'];
+  const updated = tile['date-updated'];
+  if (typeof added === 'string' && typeof updated === 'string' &&
+      !FORMAT_CHECKS.date(added) && !FORMAT_CHECKS.date(updated) && updated < added) {
+    problems.push({ path: joinPath(tilePath, 'date-updated'), message: `${updated} is earlier than date-added (${added})` });
+  }
+}
+
+// `start`/`end`/`schedule` become calendar events: an end needs a start, a
+// schedule needs dates, and weekly days need the date they stop repeating.
+function checkEventDates(tile, tilePath, problems) {
+  const { start, end, schedule } = tile;
+  const isDate = value => typeof value === 'string' && !FORMAT_CHECKS.date(value);
+  if (end !== undefined && start === undefined) {
+    problems.push({ path: joinPath(tilePath, 'end'), message: 'an end date needs a start date' });
+  } else if (isDate(start) && isDate(end) && end < start) {
+    problems.push({ path: joinPath(tilePath, 'end'), message: `${end} is earlier than start (${start})` });
+  }
+  if (!schedule || typeof schedule !== 'object') return;
+  if (start === undefined) {
+    problems.push({ path: joinPath(tilePath, 'schedule'), message: 'a schedule needs a start date' });
+  } else if (schedule.days !== undefined && end === undefined) {
+    problems.push({ path: joinPath(tilePath, 'schedule.days'), message: 'weekly days need an end date to stop repeating' });
+  }
+}
+
+/**
+ * Declared facet keys become allowed item/tile fields, and every item must
+ * carry each facet (on the item itself, or on every one of its tiles).
+ */
+function prepareResourcesSchema(schema, listing) {
+  const facets = Array.isArray(listing.facets) ? listing.facets : [];
+  facets.forEach(facet => {
+    if (!facet || typeof facet.key !== 'string') return;
+    const facetSchema = facet.semesters === true
+      ? {
+          type: 'array',
+          minItems: 1,
+          items: { enum: SEMESTER_FACET_VALUES.concat(Array.isArray(facet.wildcards) ? facet.wildcards : []) }
+        }
+      : { $ref: '#/$defs/facetValues' };
+    schema.$defs.item.properties[facet.key] = facetSchema;
+    schema.$defs.tile.properties[facet.key] = facetSchema;
+  });
+  return schema;
+}
+
+function checkResourcesListing(listing, problems) {
+  const facets = (Array.isArray(listing.facets) ? listing.facets : []).filter(facet => facet && typeof facet.key === 'string');
+  const items = Array.isArray(listing.items) ? listing.items : [];
+
+  checkDuplicates(facets.map((facet, index) => ({ value: facet.key, path: `facets[${index}].key` })), 'facet key', problems);
+  facets.forEach((facet, index) => {
+    if (Object.prototype.hasOwnProperty.call(RESERVED_FACETS, facet.key)) {
+      problems.push({ path: `facets[${index}].key`, message: `the facet key "${facet.key}" is reserved for ${RESERVED_FACETS[facet.key]}` });
+    }
+  });
+
+  // The semester badges, "Available this semester" filter and timeline read one semester facet.
+  const semesterFacets = facets.filter(facet => facet.semesters === true);
+  if (!semesterFacets.length) {
+    problems.push({ path: 'facets', message: 'no facet is marked `semesters: true` (the one holding Fall, Spring, Summer, ...)' });
+  }
+  semesterFacets.slice(1).forEach(facet => {
+    problems.push({
+      path: `facets[${facets.indexOf(facet)}].semesters`,
+      message: `only one facet can be marked \`semesters: true\` (already "${semesterFacets[0].key}")`
+    });
+  });
+
+  const titles = [];
+  const ids = [];
+  items.forEach((item, itemIndex) => {
+    if (!item || typeof item !== 'object') return;
+    const itemPath = `items[${itemIndex}]`;
+    const tiles = Array.isArray(item.tiles) ? item.tiles.filter(tile => tile && typeof tile === 'object') : [];
+
+    facets.forEach(facet => {
+      if (facet.key in item || (tiles.length && tiles.every(tile => facet.key in tile))) return;
+      problems.push({
+        path: itemPath,
+        message: `missing facet "${facet.key}" (${facet.label}); add it to the item or to every tile` +
+          (facet.wildcards && facet.wildcards.length ? `, e.g. ["${facet.wildcards[0]}"]` : '')
+      });
+    });
+
+    (item.tiles || []).forEach((tile, tileIndex) => {
+      if (!tile || typeof tile !== 'object') return;
+      const tilePath = `${itemPath}.tiles[${tileIndex}]`;
+      titles.push({ value: tile.title, path: joinPath(tilePath, 'title') });
+      ids.push(typeof tile.id === 'string'
+        ? { value: tile.id, path: joinPath(tilePath, 'id') }
+        : { value: slugifyTitle(tile.title), path: joinPath(tilePath, 'title') });
+      checkDateOrder(tile, tilePath, problems);
+      checkEventDates(tile, tilePath, problems);
+    });
+  });
+
+  checkDuplicates(titles, 'title', problems);
+  checkDuplicates(ids, 'resource id (from `id` or the title)', problems);
+}
+
+function checkAboutUsListing(listing, problems) {
+  const tiles = listing.items && Array.isArray(listing.items.tiles) ? listing.items.tiles : [];
+  const names = [];
+  tiles.forEach((tile, index) => {
+    if (!tile || typeof tile !== 'object') return;
+    names.push({ value: tile.name, path: `items.tiles[${index}].name` });
+    checkDateOrder(tile, `items.tiles[${index}]`, problems);
+  });
+  checkDuplicates(names, 'name', problems);
+}
+
+function checkToolsListing(listing, problems) {
+  const sections = Array.isArray(listing.sections) ? listing.sections : [];
+  const names = [];
+  sections.forEach((category, categoryIndex) => {
+    if (!category || typeof category !== 'object') return;
+    const categoryPath = `sections[${categoryIndex}]`;
+    names.push({ value: category.name, path: joinPath(categoryPath, 'name') });
+
+    // The same tool may appear in several categories, but only once in each.
+    const tools = Array.isArray(category.tools) ? category.tools : [];
+    const toolNames = tools.map((tool, toolIndex) => ({ value: tool && tool.name, path: `${categoryPath}.tools[${toolIndex}].name` }));
+    checkDuplicates(toolNames, 'tool', problems);
+  });
+  checkDuplicates(names, 'category', problems);
+}
+
+/**
+ * The closest recorded location for a path, walking up to its parents (a
+ * missing field is reported at the object that should contain it).
+ */
+function locate(locations, valuePath) {
+  let current = valuePath;
+  while (current) {
+    if (locations.has(current)) return locations.get(current);
+    current = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+    if (current === valuePath) break;
+  }
+  return { line: 1, column: 1 };
+}
+
+/**
+ * Validate one listing. Returns a list of { line, column, path, message }
+ * problems, sorted by position in the file.
+ */
+function validateListing(listingConfig) {
+  const source = fs.readFileSync(path.resolve(PROJECT_ROOT, listingConfig.file), 'utf8');
+  const schema = JSON.parse(fs.readFileSync(path.resolve(PROJECT_ROOT, listingConfig.schema), 'utf8'));
+  const { data, locations, errors } = parseListingYaml(source);
+
+  const schemaProblems = [];
+  checkSchemaKeywords(schema, listingConfig.schema, schemaProblems);
+  if (schemaProblems.length) {
+    throw new Error(`Schema uses keywords validate_listings.js does not check:\n  ${schemaProblems.join('\n  ')}`);
+  }
+
+  const problems = [];
+  if (data !== null && data !== undefined) {
+    const preparedSchema = listingConfig.prepareSchema ? listingConfig.prepareSchema(schema, data) : schema;
+    validateAgainstSchema(data, preparedSchema, '', preparedSchema, problems);
+    if (typeOf(data) === 'object') listingConfig.check(data, problems);
+  } else if (!errors.length) {
+    problems.push({ path: '', message: 'listing file is empty' });
+  }
+
+  return errors
+    .map(error => ({ line: error.line, column: error.column, path: '', message: error.message }))
+    .concat(problems.map(problem => ({ ...locate(locations, problem.path), ...problem })))
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+function main(args) {
+  const selected = args.length
+    ? args.map(arg => {
+        const relative = path.relative(PROJECT_ROOT, path.resolve(arg)).split(path.sep).join('/');
+        const listing = LISTINGS.find(entry => entry.file === relative);
+        if (!listing) {
+          console.error(`${arg}: not a known listing file (expected one of: ${LISTINGS.map(entry => entry.file).join(', ')})`);
+          process.exit(2);
+        }
+        return listing;
+      })
+    : LISTINGS;
+
+  let total = 0;
+  selected.forEach(listing => {
+    const problems = validateListing(listing);
+    total += problems.length;
+    problems.forEach(problem => {
+      const where = problem.path ? `${problem.path}: ` : '';
+      console.error(`${listing.file}:${problem.line}:${problem.column}: ${where}${problem.message}`);
+    });
+    if (!problems.length) console.log(`${listing.file}: OK`);
+  });
+
+  if (total) {
+    console.error(`\n${total} problem${total === 1 ? '' : 's'} found. Fix them before running \`quarto render\`.`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { LISTINGS, validateListing, validateAgainstSchema };
@@ -1,141 +1,748 @@
 /**
- * This script handles the functionality for a modal image viewer with zoom and 
- * pan capabilities. Works when the user clicks on the image embedded on a page.
- * 
+ * This script handles the functionality for a modal image viewer with zoom and
+ * pan capabilities. Works when the user clicks on an image embedded on a page.
+ *
  * It includes the following features:
- *    1. Opening and closing the modal.
- *    2. Centering the image initially.
- *    3. Zooming in and out using the mouse wheel.
- *    4. Panning the zoomed-in image by dragging it with the mouse.
- *    5. Enforcing minimum and maximum zoom levels set via data attributes on 
- *       the container element.
+ *    1. Attaching to any number of images marked with `data-zoomable`. Images
+ *       with the same value form a gallery with previous/next navigation
+ *       (an empty value is the page's default gallery). Pages without such
+ *       images are left alone.
+ *    2. Zooming with the mouse wheel, double-click (zoom to that point, or
+ *       back out), pinch on touch screens, and the +, − and 0 keys.
+ *    3. Panning the zoomed-in image by dragging it with the mouse or a
+ *       finger, or with the arrow keys. The image never pans out of view.
+ *    4. Gallery navigation with the buttons, the ←/→ keys (when not zoomed
+ *       in) or a swipe.
+ *    5. Enforcing minimum and maximum zoom levels set via `data-min-scale`
+ *       and `data-max-scale` on the image or any element around it.
+ *    6. Dialog behavior: focus moves into the viewer, Tab stays inside it,
+ *       Escape or a click on the backdrop closes it, and focus returns to the
+ *       image. Captions are set as plain text.
+ *    7. An overview minimap while zoomed in, showing the visible part of the
+ *       image; click or drag on it to jump there.
+ *    8. The zoom level as a percentage, between zoom out/in buttons. Clicking
+ *       the percentage resets the zoom.
+ *    9. A deep-linkable viewport: the open image, zoom level and view center
+ *       are kept in the URL hash (updated in place, without history entries),
+ *       and a link with them opens the viewer on that exact region.
+ *
+ * Markup:
+ *    <figure data-max-scale="4">
+ *      <img src="chart.png" alt="Chart" data-zoomable="charts"
+ *           data-zoom-src="chart-large.png">        <!-- optional full-size file -->
+ *      <figcaption>Caption shown in the viewer</figcaption>
+ *    </figure>
+ * The caption is the image's `data-caption`, else its figure's
+ * <figcaption>, else its alt text.
+ *
+ * URL hash layout (x and y are the view center, as fractions of the image):
+ *    #image=charts-2&zoom=2.5&x=0.4312&y=0.6
+ * The image is named by its id, or else by its gallery and 1-based position
+ * in it (`image-N` for the default gallery).
  *
  * Author: Shelby Golden, M.S.
  *   Date: September 2025
- * 
+ *
  * Note: Written with the assistance of Yale's AI, Clarity.
  */
 
-// Initial scale and pan values for the image
-let scale = 1;
-let panX = 0;
-let panY = 0;
-
-// Get the container element and read the data attributes for min and max scales
-const container = document.querySelector('.container');
-const minScale = parseFloat(container.getAttribute('data-min-scale')) || 1;
-const maxScale = parseFloat(container.getAttribute('data-max-scale')) || 3;
-
-// Get modal elements by their IDs
-const modal = document.getElementById("myModal");
-const img = document.getElementById("myImage");
-const modalImg = document.getElementById("img01");
-const captionText = document.getElementById("caption");
-
-// Open the modal and display the clicked image with its caption when the image is clicked
-img.onclick = function () {
-  modal.style.display = "block";
-  modalImg.src = this.src;
-  captionText.innerHTML = this.alt;
-  centerImage(); // Center the image initially
-};
-
-// Get the span element that closes the modal
-const span = document.getElementsByClassName("close")[0];
-span.onclick = function () {
-  modal.style.display = "none";
-  resetZoomAndPan();
-};
-
-// Close the modal when clicking outside the image
-modal.onclick = function (event) {
-  if (event.target == modal) {
-    modal.style.display = "none";
-    resetZoomAndPan();
-  }
-};
-
-// Center the image by resetting the zoom and pan values
-function centerImage() {
-  resetZoomAndPan();
+const IMAGE_VIEWER_DEFAULT_MIN_SCALE = 1;
+const IMAGE_VIEWER_DEFAULT_MAX_SCALE = 3;
+const IMAGE_VIEWER_WHEEL_STEP = 0.1;     // scale change per wheel notch, relative
+const IMAGE_VIEWER_KEY_STEP = 0.25;      // scale change per +/− key press, relative
+const IMAGE_VIEWER_PAN_STEP = 60;        // pixels per arrow key press
+const IMAGE_VIEWER_SWIPE_DISTANCE = 50;  // pixels of horizontal swipe that change image
+const IMAGE_VIEWER_DOUBLE_TAP_MS = 300;
+const IMAGE_VIEWER_HASH_DELAY_MS = 250;  // wait for zooming/panning to settle before updating the URL
+const IMAGE_VIEWER_HASH_IMAGE_PARAM = 'image';
+const IMAGE_VIEWER_HASH_ZOOM_PARAM = 'zoom';
+const IMAGE_VIEWER_HASH_X_PARAM = 'x';
+const IMAGE_VIEWER_HASH_Y_PARAM = 'y';
+
+/**
+ * The images of each gallery on the page: gallery name → images, in page order.
+ */
+function collectImageGalleries(root = document) {
+  const galleries = new Map();
+  root.querySelectorAll('img[data-zoomable]').forEach(image => {
+    const name = image.getAttribute('data-zoomable') || '';
+    if (!galleries.has(name)) galleries.set(name, []);
+    galleries.get(name).push(image);
+  });
+  return galleries;
 }
 
-// Reset zoom and pan values to their defaults
-function resetZoomAndPan() {
-  scale = 1;
-  panX = 0;
-  panY = 0;
-  updateTransform();
+/**
+ * The name of an image in the URL hash: its id, else "<gallery>-<position>".
+ */
+function imageViewerKey(image, galleries) {
+  if (image.id) return image.id;
+  const name = image.getAttribute('data-zoomable') || '';
+  const images = galleries.get(name) || [image];
+  return `${name || 'image'}-${images.indexOf(image) + 1}`;
 }
 
-// Handle mouse wheel events for zooming
-modalImg.onwheel = function (event) {
-  event.preventDefault();
-  const rect = modalImg.getBoundingClientRect();
-  const { clientX: mouseX, clientY: mouseY } = event; 
-  const dx = (mouseX - rect.left - rect.width / 2) / scale;
-  const dy = (mouseY - rect.top - rect.height / 2) / scale;
-  const prevScale = scale;
-  const zoomIntensity = 0.1;
-
-  // Adjust the scale based on the wheel scroll direction
-  scale += event.deltaY > 0 ? -zoomIntensity : zoomIntensity;
-  scale = Math.max(minScale, Math.min(maxScale, scale));
-
-  // Adjust pan to maintain the position relative to the image center
-  panX -= dx * (scale - prevScale);
-  panY -= dy * (scale - prevScale);
-
-  updateTransform();
-};
-
-// Handle mouse down events for panning
-modalImg.onmousedown = function (event) {
-  event.preventDefault();
-  const startX = event.clientX;
-  const startY = event.clientY;
-  const startPanX = panX;
-  const startPanY = panY;
-
-  // Define the mouse move event handler for panning
-  function onMouseMove(e) {
-    panX = startPanX + (e.clientX - startX);
-    panY = startPanY + (e.clientY - startY);
-    updateTransform();
-  }
-
-  // Define the mouse up event handler to remove the move event listeners
-  function onMouseUp() {
-    document.removeEventListener("mousemove", onMouseMove);
-    document.removeEventListener("mouseup", onMouseUp);
-  }
-
-  // Add the event listeners for mouse movement and release
-  document.addEventListener("mousemove", onMouseMove);
-  document.addEventListener("mouseup", onMouseUp);
-};
-
-// Update the transform CSS property to apply zoom and pan effects
-function updateTransform() {
-  const rect = modalImg.getBoundingClientRect();
-  const modalRect = modal.getBoundingClientRect();
-
-  // If the scale is less than or equal to 1, reset pan values
-  if (scale <= 1) {
-    panX = 0;
-    panY = 0;
-  } else {
-    // Ensure the image doesn't pan out of the modal bounds
-    panX = Math.min(
-      Math.max(panX, (modalRect.width - rect.width * scale) / 2),
-      (rect.width * scale - modalRect.width) / 2
-    );
-    panY = Math.min(
-      Math.max(panY, (modalRect.height - rect.height * scale) / 2),
-      (rect.height * scale - modalRect.height) / 2
+/**
+ * The image named by `key` (see imageViewerKey()), or null.
+ */
+function findImageByViewerKey(key, galleries) {
+  if (!key) return null;
+  // Ids take precedence over gallery positions.
+  let found = null;
+  galleries.forEach(images => images.forEach(image => {
+    if (!found && image.id === key) found = image;
+  }));
+  galleries.forEach(images => images.forEach(image => {
+    if (!found && imageViewerKey(image, galleries) === key) found = image;
+  }));
+  return found;
+}
+
+/**
+ * The viewer state in the URL hash: { key, scale, x, y }, or null when the
+ * hash does not name an image. A missing zoom or center defaults to the
+ * whole image.
+ */
+function readImageViewerHash() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const key = params.get(IMAGE_VIEWER_HASH_IMAGE_PARAM);
+  if (!key) return null;
+
+  const readNumber = (name, fallback) => {
+    const value = parseFloat(params.get(name));
+    return Number.isFinite(value) ? value : fallback;
+  };
+  return {
+    key,
+    scale: readNumber(IMAGE_VIEWER_HASH_ZOOM_PARAM, 1),
+    x: Math.min(1, Math.max(0, readNumber(IMAGE_VIEWER_HASH_X_PARAM, 0.5))),
+    y: Math.min(1, Math.max(0, readNumber(IMAGE_VIEWER_HASH_Y_PARAM, 0.5)))
+  };
+}
+
+/**
+ * The page URL with `hash` (without the leading #; '' removes it).
+ */
+function buildImageViewerUrl(hash) {
+  const url = new URL(window.location.href);
+  url.hash = hash;
+  return url.toString();
+}
+
+// A scale limit from the image or the nearest element around it that sets one.
+function readImageScaleLimit(image, attribute, fallback) {
+  const source = image.closest(`[${attribute}]`);
+  const value = source ? parseFloat(source.getAttribute(attribute)) : NaN;
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * The caption for an image: `data-caption`, its figure's <figcaption>, or its alt text.
+ */
+function readImageCaption(image) {
+  if (image.hasAttribute('data-caption')) return image.getAttribute('data-caption');
+  const figure = image.closest('figure');
+  const figcaption = figure && figure.querySelector('figcaption');
+  if (figcaption && figcaption.textContent.trim()) return figcaption.textContent.trim();
+  return image.getAttribute('alt') || '';
+}
+
+/**
+ * Limit a pan offset so the scaled image keeps covering the stage (or stays
+ * centered along an axis where it is smaller than the stage).
+ */
+function clampImagePan(pan, scale, imageSize, stageSize) {
+  const limitX = Math.max(0, (imageSize.width * scale - stageSize.width) / 2);
+  const limitY = Math.max(0, (imageSize.height * scale - stageSize.height) / 2);
+  return {
+    x: Math.min(limitX, Math.max(-limitX, pan.x)),
+    y: Math.min(limitY, Math.max(-limitY, pan.y))
+  };
+}
+
+/**
+ * The pan offset that keeps `point` (relative to the stage center) over the
+ * same spot of the image when the scale changes from `fromScale` to `toScale`.
+ */
+function panForZoomAt(pan, fromScale, toScale, point) {
+  const ratio = toScale / fromScale;
+  return {
+    x: point.x - (point.x - pan.x) * ratio,
+    y: point.y - (point.y - pan.y) * ratio
+  };
+}
+
+// Build the viewer's dialog markup (hidden until opened).
+function createImageViewerElement() {
+  const viewer = document.createElement('div');
+  viewer.className = 'image-viewer';
+  viewer.hidden = true;
+  viewer.setAttribute('role', 'dialog');
+  viewer.setAttribute('aria-modal', 'true');
+  viewer.setAttribute('aria-label', 'Image viewer');
+
+  const stage = document.createElement('div');
+  stage.className = 'image-viewer-stage';
+  stage.tabIndex = 0;
+  stage.setAttribute('aria-label', 'Image. Use + and − to zoom, 0 to reset and the arrow keys to move.');
+
+  const image = document.createElement('img');
+  image.className = 'image-viewer-image';
+  image.alt = '';
+  image.draggable = false;
+  stage.appendChild(image);
+
+  const makeButton = (className, label, text) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.setAttribute('aria-label', label);
+    button.textContent = text;
+    return button;
+  };
+  const closeButton = makeButton('image-viewer-close', 'Close image viewer', '×');
+  const previousButton = makeButton('image-viewer-previous', 'Previous image', '‹');
+  const nextButton = makeButton('image-viewer-next', 'Next image', '›');
+
+  const zoomControls = document.createElement('div');
+  zoomControls.className = 'image-viewer-zoom';
+  zoomControls.setAttribute('role', 'group');
+  zoomControls.setAttribute('aria-label', 'Zoom');
+  const zoomOutButton = makeButton('image-viewer-zoom-out', 'Zoom out', '−');
+  const zoomLevel = makeButton('image-viewer-zoom-level', 'Reset zoom', '100%');
+  const zoomInButton = makeButton('image-viewer-zoom-in', 'Zoom in', '+');
+  zoomControls.append(zoomOutButton, zoomLevel, zoomInButton);
+
+  // Mouse and touch only: the arrow keys do the same for keyboard users.
+  const minimap = document.createElement('div');
+  minimap.className = 'image-viewer-minimap';
+  minimap.hidden = true;
+  minimap.setAttribute('aria-hidden', 'true');
+  const minimapImage = document.createElement('img');
+  minimapImage.className = 'image-viewer-minimap-image';
+  minimapImage.alt = '';
+  minimapImage.draggable = false;
+  const minimapViewport = document.createElement('div');
+  minimapViewport.className = 'image-viewer-minimap-viewport';
+  minimap.append(minimapImage, minimapViewport);
+
+  const footer = document.createElement('div');
+  footer.className = 'image-viewer-footer';
+  const caption = document.createElement('p');
+  caption.className = 'image-viewer-caption';
+  const counter = document.createElement('p');
+  counter.className = 'image-viewer-counter';
+  counter.setAttribute('aria-live', 'polite');
+  footer.append(caption, counter);
+
+  viewer.append(stage, minimap, previousButton, nextButton, zoomControls, closeButton, footer);
+  document.body.appendChild(viewer);
+  return {
+    viewer, stage, image, closeButton, previousButton, nextButton, caption, counter,
+    zoomOutButton, zoomLevel, zoomInButton, minimap, minimapImage, minimapViewport
+  };
+}
+
+/**
+ * Create the viewer and attach it to the `data-zoomable` images under
+ * `root`. Returns { open, close, next, previous, zoomBy, reset, isOpen,
+ * syncWithHash, destroy }.
+ */
+function createImageViewer(root = document) {
+  const galleries = collectImageGalleries(root);
+  let elements = null;   // built on first open
+  let gallery = [];
+  let index = 0;
+  let returnFocusTo = null;
+
+  let scale = 1;
+  let pan = { x: 0, y: 0 };
+  let minScale = IMAGE_VIEWER_DEFAULT_MIN_SCALE;
+  let maxScale = IMAGE_VIEWER_DEFAULT_MAX_SCALE;
+
+  const pointers = new Map(); // pointerId → { x, y, type }
+  let gesture = null;         // the drag, pinch or swipe in progress
+  let lastTap = null;
+  let suppressClick = false;  // the click that ends a drag or pinch is not a backdrop click
+
+  let pendingView = null;      // a { scale, x, y } view waiting for the image to load
+  let hashTimer = null;
+  let hashBeforeOpen = '';     // restored on close
+
+  // Layout size of the displayed image (without the zoom transform) and of the stage.
+  function sizes() {
+    return {
+      image: { width: elements.image.offsetWidth, height: elements.image.offsetHeight },
+      stage: { width: elements.stage.clientWidth, height: elements.stage.clientHeight }
+    };
+  }
+
+  // A client position relative to the center of the stage.
+  function stagePoint(clientX, clientY) {
+    const rect = elements.stage.getBoundingClientRect();
+    return { x: clientX - rect.left - rect.width / 2, y: clientY - rect.top - rect.height / 2 };
+  }
+
+  function applyTransform() {
+    const { image, stage } = sizes();
+    pan = scale <= 1 ? { x: 0, y: 0 } : clampImagePan(pan, scale, image, stage);
+    elements.image.style.transform = `translate(${pan.x}px, ${pan.y}px) scale(${scale})`;
+    elements.viewer.classList.toggle('is-zoomed', scale > minScale);
+    updateOverview();
+    scheduleHashUpdate();
+  }
+
+  // The stage center as fractions of the image: { x, y }, 0–1.
+  function viewCenter() {
+    const { image } = sizes();
+    if (!image.width || !image.height) return { x: 0.5, y: 0.5 };
+    return {
+      x: 0.5 - pan.x / (image.width * scale),
+      y: 0.5 - pan.y / (image.height * scale)
+    };
+  }
+
+  // Pan so the image point at fractions (x, y) is at the stage center.
+  function centerOn(x, y) {
+    const { image } = sizes();
+    pan = { x: (0.5 - x) * image.width * scale, y: (0.5 - y) * image.height * scale };
+    applyTransform();
+  }
+
+  // Show `view` ({ scale, x, y }) once the image has a size.
+  function setView(view) {
+    if (!elements.image.offsetWidth) {
+      pendingView = view;
+      return;
+    }
+    pendingView = null;
+    scale = Math.min(maxScale, Math.max(minScale, view.scale));
+    centerOn(view.x, view.y);
+  }
+
+  // The zoom level, its buttons and the minimap's viewport rectangle.
+  function updateOverview() {
+    const percent = `${Math.round(scale * 100)}%`;
+    elements.zoomLevel.textContent = percent;
+    elements.zoomLevel.setAttribute('aria-label', `Zoom ${percent}. Reset zoom`);
+    elements.zoomOutButton.disabled = scale <= minScale;
+    elements.zoomInButton.disabled = scale >= maxScale;
+
+    const { image, stage } = sizes();
+    elements.minimap.hidden = scale <= minScale || !image.width;
+    if (elements.minimap.hidden) return;
+
+    const width = Math.min(1, stage.width / (image.width * scale));
+    const height = Math.min(1, stage.height / (image.height * scale));
+    const center = viewCenter();
+    const left = Math.min(1 - width, Math.max(0, center.x - width / 2));
+    const top = Math.min(1 - height, Math.max(0, center.y - height / 2));
+    Object.assign(elements.minimapViewport.style, {
+      left: `${left * 100}%`,
+      top: `${top * 100}%`,
+      width: `${width * 100}%`,
+      height: `${height * 100}%`
+    });
+  }
+
+  // Keep the URL hash in step with the view, once it has settled.
+  function scheduleHashUpdate() {
+    if (elements.viewer.hidden) return;
+    clearTimeout(hashTimer);
+    hashTimer = setTimeout(writeHash, IMAGE_VIEWER_HASH_DELAY_MS);
+  }
+
+  function writeHash() {
+    hashTimer = null;
+    if (!elements || elements.viewer.hidden) return;
+    const params = new URLSearchParams();
+    params.set(IMAGE_VIEWER_HASH_IMAGE_PARAM, imageViewerKey(gallery[index], galleries));
+    if (scale > minScale) {
+      const center = viewCenter();
+      params.set(IMAGE_VIEWER_HASH_ZOOM_PARAM, String(Number(scale.toFixed(2))));
+      params.set(IMAGE_VIEWER_HASH_X_PARAM, String(Number(center.x.toFixed(4))));
+      params.set(IMAGE_VIEWER_HASH_Y_PARAM, String(Number(center.y.toFixed(4))));
+    }
+    const url = buildImageViewerUrl(params.toString());
+    if (url !== window.location.href) history.replaceState(history.state, '', url);
+  }
+
+  /**
+   * Zoom to `nextScale` (clamped to the limits), keeping `point` (relative
+   * to the stage center; default the center) in place.
+   */
+  function zoomTo(nextScale, point = { x: 0, y: 0 }) {
+    const clamped = Math.min(maxScale, Math.max(minScale, nextScale));
+    pan = panForZoomAt(pan, scale, clamped, point);
+    scale = clamped;
+    applyTransform();
+  }
+
+  function zoomBy(factor, point) {
+    zoomTo(scale * factor, point);
+  }
+
+  function reset() {
+    scale = minScale;
+    pan = { x: 0, y: 0 };
+    applyTransform();
+  }
+
+  function panBy(dx, dy) {
+    pan = { x: pan.x + dx, y: pan.y + dy };
+    applyTransform();
+  }
+
+  function show(position) {
+    index = (position + gallery.length) % gallery.length;
+    const source = gallery[index];
+    minScale = readImageScaleLimit(source, 'data-min-scale', IMAGE_VIEWER_DEFAULT_MIN_SCALE);
+    maxScale = Math.max(minScale, readImageScaleLimit(source, 'data-max-scale', IMAGE_VIEWER_DEFAULT_MAX_SCALE));
+
+    elements.image.src = source.getAttribute('data-zoom-src') || source.currentSrc || source.src;
+    elements.minimapImage.src = source.currentSrc || source.src;
+    elements.image.alt = source.getAttribute('alt') || '';
+    elements.caption.textContent = readImageCaption(source);
+    elements.caption.hidden = !elements.caption.textContent;
+
+    const several = gallery.length > 1;
+    elements.previousButton.hidden = !several;
+    elements.nextButton.hidden = !several;
+    elements.counter.textContent = several ? `${index + 1} / ${gallery.length}` : '';
+    pendingView = null;
+    reset();
+  }
+
+  function next() {
+    if (gallery.length > 1) show(index + 1);
+  }
+
+  function previous() {
+    if (gallery.length > 1) show(index - 1);
+  }
+
+  /**
+   * Open the viewer on `image` (one of the attached images). Options: view
+   * ({ scale, x, y }, as read from the URL hash) to start zoomed in.
+   */
+  function open(image, options = {}) {
+    const name = image.getAttribute('data-zoomable') || '';
+    const images = galleries.get(name) || [image];
+    if (!elements) bindElements();
+
+    if (elements.viewer.hidden) {
+      returnFocusTo = document.activeElement !== document.body ? document.activeElement : image;
+      hashBeforeOpen = readImageViewerHash() ? '' : window.location.hash.slice(1);
+    }
+    gallery = images;
+    elements.viewer.hidden = false;
+    document.body.classList.add('image-viewer-open');
+    show(Math.max(0, images.indexOf(image)));
+    if (options.view) setView(options.view);
+    elements.closeButton.focus();
+  }
+
+  /**
+   * Close the viewer. Options: updateUrl (default true) restores the hash
+   * the page had before the viewer opened.
+   */
+  function close(options = {}) {
+    if (!elements || elements.viewer.hidden) return;
+    elements.viewer.hidden = true;
+    document.body.classList.remove('image-viewer-open');
+    pointers.clear();
+    gesture = null;
+    suppressClick = false;
+    pendingView = null;
+
+    clearTimeout(hashTimer);
+    hashTimer = null;
+    if (options.updateUrl !== false && readImageViewerHash()) {
+      history.replaceState(history.state, '', buildImageViewerUrl(hashBeforeOpen));
+    }
+    hashBeforeOpen = '';
+
+    const focusTarget = returnFocusTo;
+    returnFocusTo = null;
+    if (focusTarget && document.contains(focusTarget) && typeof focusTarget.focus === 'function') focusTarget.focus();
+  }
+
+  function onKeyDown(event) {
+    const zoomed = scale > minScale;
+    switch (event.key) {
+      case 'Escape':
+        close();
+        break;
+      case '+':
+      case '=':
+        zoomBy(1 + IMAGE_VIEWER_KEY_STEP);
+        break;
+      case '-':
+      case '_':
+        zoomBy(1 / (1 + IMAGE_VIEWER_KEY_STEP));
+        break;
+      case '0':
+        reset();
+        break;
+      case 'ArrowLeft':
+        if (zoomed) panBy(IMAGE_VIEWER_PAN_STEP, 0);
+        else previous();
+        break;
+      case 'ArrowRight':
+        if (zoomed) panBy(-IMAGE_VIEWER_PAN_STEP, 0);
+        else next();
+        break;
+      case 'ArrowUp':
+        if (!zoomed) return;
+        panBy(0, IMAGE_VIEWER_PAN_STEP);
+        break;
+      case 'ArrowDown':
+        if (!zoomed) return;
+        panBy(0, -IMAGE_VIEWER_PAN_STEP);
+        break;
+      case 'Tab': {
+        // Keep Tab inside the viewer.
+        const focusable = Array.from(elements.viewer.querySelectorAll('button, [tabindex="0"]'))
+          .filter(element => !element.hidden && !element.disabled);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          first.focus();
+        } else {
+          return;
+        }
+        break;
+      }
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+
+  function onWheel(event) {
+    event.preventDefault();
+    const factor = event.deltaY > 0 ? 1 / (1 + IMAGE_VIEWER_WHEEL_STEP) : 1 + IMAGE_VIEWER_WHEEL_STEP;
+    zoomBy(factor, stagePoint(event.clientX, event.clientY));
+  }
+
+  // Double-click (or double-tap) zooms in on that point, or back out when zoomed in.
+  function toggleZoomAt(point) {
+    if (scale > minScale) {
+      reset();
+    } else {
+      zoomTo(Math.min(maxScale, minScale * 2), point);
+    }
+  }
+
+  function pinchDistance() {
+    const [a, b] = Array.from(pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  function pinchMidpoint() {
+    const [a, b] = Array.from(pointers.values());
+    return stagePoint((a.x + b.x) / 2, (a.y + b.y) / 2);
+  }
+
+  // Start a new drag or pinch from the pointers currently down.
+  function beginGesture() {
+    if (pointers.size >= 2) {
+      gesture = { type: 'pinch', distance: pinchDistance(), scale, midpoint: pinchMidpoint() };
+    } else if (pointers.size === 1) {
+      const [point] = Array.from(pointers.values());
+      gesture = { type: 'drag', startX: point.x, startY: point.y, startPan: { ...pan }, moved: 0 };
+    } else {
+      gesture = null;
+    }
+    elements.viewer.classList.toggle('is-dragging', gesture !== null);
+  }
+
+  function onPointerDown(event) {
+    if (event.button > 0) return;
+    suppressClick = false;
+    elements.stage.setPointerCapture(event.pointerId);
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, type: event.pointerType });
+    beginGesture();
+  }
+
+  function onPointerMove(event) {
+    if (!pointers.has(event.pointerId)) return;
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, type: event.pointerType });
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch' && pointers.size >= 2) {
+      suppressClick = true;
+      const midpoint = pinchMidpoint();
+      // Follow the fingers: zoom about the midpoint, then move with it.
+      pan = { x: pan.x + midpoint.x - gesture.midpoint.x, y: pan.y + midpoint.y - gesture.midpoint.y };
+      gesture.midpoint = midpoint;
+      zoomTo(gesture.scale * (pinchDistance() / gesture.distance), midpoint);
+    } else if (gesture.type === 'drag') {
+      const dx = event.clientX - gesture.startX;
+      const dy = event.clientY - gesture.startY;
+      gesture.moved = Math.max(gesture.moved, Math.hypot(dx, dy));
+      if (gesture.moved >= 10) suppressClick = true;
+      if (scale > minScale) {
+        pan = { x: gesture.startPan.x + dx, y: gesture.startPan.y + dy };
+        applyTransform();
+      }
+    }
+  }
+
+  function onPointerUp(event) {
+    const released = pointers.get(event.pointerId);
+    if (!released) return;
+    pointers.delete(event.pointerId);
+
+    if (gesture && gesture.type === 'drag' && pointers.size === 0 && event.type === 'pointerup') {
+      const dx = event.clientX - gesture.startX;
+      if (scale <= minScale && Math.abs(dx) >= IMAGE_VIEWER_SWIPE_DISTANCE) {
+        // Swipe between images when not zoomed in.
+        if (dx < 0) next();
+        else previous();
+      } else if (released.type !== 'mouse' && gesture.moved < 10) {
+        // Double-tap (the mouse uses dblclick instead).
+        const now = Date.now();
+        if (lastTap && now - lastTap.time < IMAGE_VIEWER_DOUBLE_TAP_MS && Math.hypot(event.clientX - lastTap.x, event.clientY - lastTap.y) < 30) {
+          toggleZoomAt(stagePoint(event.clientX, event.clientY));
+          lastTap = null;
+        } else {
+          lastTap = { time: now, x: event.clientX, y: event.clientY };
+        }
+      }
+    }
+    beginGesture();
+  }
+
+  // Center the view on the minimap position under the pointer.
+  function jumpToMinimapPoint(event) {
+    const rect = elements.minimapImage.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+    centerOn(
+      Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+      Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height))
     );
   }
 
-  // Apply the transform style to the image
-  modalImg.style.transform = `translate(${panX}px, ${panY}px) scale(${scale}) translate(-50%, -50%)`;
-}
\ No newline at end of file
+  function onMinimapPointerDown(event) {
+    if (event.button > 0) return;
+    event.preventDefault();
+    elements.minimap.setPointerCapture(event.pointerId);
+    elements.viewer.classList.add('is-dragging'); // no transition while following the pointer
+    jumpToMinimapPoint(event);
+  }
+
+  function onMinimapPointerMove(event) {
+    if (elements.minimap.hasPointerCapture(event.pointerId)) jumpToMinimapPoint(event);
+  }
+
+  function onMinimapPointerUp() {
+    elements.viewer.classList.toggle('is-dragging', gesture !== null);
+  }
+
+  function onViewerClick(event) {
+    if (suppressClick) {
+      suppressClick = false;
+      return;
+    }
+    if (event.target === elements.viewer || event.target === elements.stage) close();
+  }
+
+  function bindElements() {
+    elements = createImageViewerElement();
+    elements.closeButton.addEventListener('click', close);
+    elements.previousButton.addEventListener('click', previous);
+    elements.nextButton.addEventListener('click', next);
+    elements.zoomOutButton.addEventListener('click', () => zoomBy(1 / (1 + IMAGE_VIEWER_KEY_STEP)));
+    elements.zoomInButton.addEventListener('click', () => zoomBy(1 + IMAGE_VIEWER_KEY_STEP));
+    elements.zoomLevel.addEventListener('click', reset);
+    elements.minimap.addEventListener('pointerdown', onMinimapPointerDown);
+    elements.minimap.addEventListener('pointermove', onMinimapPointerMove);
+    elements.minimap.addEventListener('pointerup', onMinimapPointerUp);
+    elements.minimap.addEventListener('pointercancel', onMinimapPointerUp);
+    elements.viewer.addEventListener('keydown', onKeyDown);
+    elements.viewer.addEventListener('click', onViewerClick);
+    elements.stage.addEventListener('wheel', onWheel, { passive: false });
+    elements.stage.addEventListener('pointerdown', onPointerDown);
+    elements.stage.addEventListener('pointermove', onPointerMove);
+    elements.stage.addEventListener('pointerup', onPointerUp);
+    elements.stage.addEventListener('pointercancel', onPointerUp);
+    elements.image.addEventListener('dblclick', event => {
+      event.preventDefault();
+      toggleZoomAt(stagePoint(event.clientX, event.clientY));
+    });
+    // Clicks on the image itself should not count as backdrop clicks.
+    elements.image.addEventListener('click', event => event.stopPropagation());
+    // Sizes are known once the image loads: apply a waiting view, or re-clamp.
+    elements.image.addEventListener('load', () => {
+      if (pendingView) setView(pendingView);
+      else applyTransform();
+    });
+  }
+
+  // Make each image open the viewer on click, Enter or Space.
+  const imageListeners = [];
+  galleries.forEach(images => images.forEach(image => {
+    const onClick = () => open(image);
+    const onImageKeyDown = event => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        open(image);
+      }
+    };
+    image.addEventListener('click', onClick);
+    image.addEventListener('keydown', onImageKeyDown);
+    if (!image.hasAttribute('tabindex')) image.tabIndex = 0;
+    image.setAttribute('role', 'button');
+    image.setAttribute('aria-haspopup', 'dialog');
+    if (!image.hasAttribute('aria-label')) image.setAttribute('aria-label', `Enlarge image: ${image.getAttribute('alt') || 'image'}`);
+    imageListeners.push({ image, onClick, onImageKeyDown });
+  }));
+
+  /**
+   * Open or close the viewer to match the URL hash. Call on load and on
+   * hashchange.
+   */
+  function syncWithHash() {
+    const state = readImageViewerHash();
+    const image = state && findImageByViewerKey(state.key, galleries);
+    if (image) {
+      open(image, { view: state });
+    } else if (elements && !elements.viewer.hidden && !state) {
+      close({ updateUrl: false });
+    }
+  }
+
+  function destroy() {
+    close();
+    imageListeners.forEach(({ image, onClick, onImageKeyDown }) => {
+      image.removeEventListener('click', onClick);
+      image.removeEventListener('keydown', onImageKeyDown);
+    });
+    if (elements) elements.viewer.remove();
+    elements = null;
+  }
+
+  return {
+    open,
+    close,
+    next,
+    previous,
+    zoomBy,
+    reset,
+    isOpen: () => Boolean(elements && !elements.viewer.hidden),
+    syncWithHash,
+    destroy
+  };
+}
+
+// Attach a viewer to the page's zoomable images, if it has any, and open the
+// image named in the URL hash.
+document.addEventListener('DOMContentLoaded', function () {
+  if (!document.querySelector('img[data-zoomable]')) return;
+  const viewer = createImageViewer();
+  viewer.syncWithHash();
+  window.addEventListener('hashchange', viewer.syncWithHash);
+});